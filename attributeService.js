@@ -0,0 +1,475 @@
+/**
+ * attributeService.js
+ * This module contains functions for typed product attribute definitions and
+ * the attribute values of products (see product-attributes-schema.sql)
+ */
+
+const { executeQuery } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+// Supported attribute types
+const ATTRIBUTE_TYPES = ["text", "number", "enum", "boolean"];
+
+// Attribute codes are used as keys in product data and query parameters
+const ATTRIBUTE_CODE_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Maximum length of a text attribute value
+const MAX_TEXT_LENGTH = 255;
+
+// Column of product_attribute_values holding each type's value
+const VALUE_COLUMNS = {
+  text: "value_text",
+  number: "value_number",
+  enum: "value_text",
+  boolean: "value_boolean",
+};
+
+/**
+ * Parse the allowed values of an attribute definition row
+ * @param {Object} definition - The definition row
+ * @returns {Object} The same definition with allowed_values as an array (or null)
+ */
+const parseDefinition = (definition) => {
+  if (typeof definition.allowed_values === "string") {
+    definition.allowed_values = JSON.parse(definition.allowed_values);
+  }
+  return definition;
+};
+
+/**
+ * Get all attribute definitions
+ * @returns {Promise<Array>} List of attribute definitions ordered by name
+ */
+const getAttributeDefinitions = async () => {
+  const query = `
+    SELECT id, code, name, type, unit, allowed_values, created_at
+    FROM attribute_definitions
+    ORDER BY name ASC
+  `;
+  const definitions = await executeQuery(query);
+  return definitions.map(parseDefinition);
+};
+
+/**
+ * Get an attribute definition by its ID
+ * @param {number} id - The definition ID
+ * @returns {Promise<Object>} The attribute definition
+ */
+const getAttributeDefinitionById = async (id) => {
+  const query = `
+    SELECT id, code, name, type, unit, allowed_values, created_at
+    FROM attribute_definitions
+    WHERE id = ?
+  `;
+  const result = await executeQuery(query, [id]);
+  return result[0] ? parseDefinition(result[0]) : undefined;
+};
+
+/**
+ * Get the attribute definitions with the given codes
+ * @param {Array<string>} codes - The attribute codes
+ * @returns {Promise<Map>} The definitions keyed by code
+ */
+const getDefinitionsByCode = async (codes) => {
+  const definitions = new Map();
+  if (codes.length === 0) {
+    return definitions;
+  }
+
+  const placeholders = codes.map(() => "?").join(", ");
+  const rows = await executeQuery(
+    `
+      SELECT id, code, name, type, unit, allowed_values
+      FROM attribute_definitions
+      WHERE code IN (${placeholders})
+    `,
+    codes
+  );
+  rows.forEach((row) => definitions.set(row.code, parseDefinition(row)));
+
+  return definitions;
+};
+
+/**
+ * Check the fields of an attribute definition
+ * @param {Object} definition - The definition data
+ * @param {boolean} isNew - Whether the definition is being created
+ * @returns {Array<string>} The validation errors
+ */
+const validateDefinition = (definition, isNew) => {
+  const errors = [];
+
+  if (isNew && !ATTRIBUTE_CODE_PATTERN.test(definition.code || "")) {
+    errors.push(
+      "code must start with a lowercase letter and contain only lowercase letters, digits and underscores (at most 64)"
+    );
+  }
+
+  if (isNew && !ATTRIBUTE_TYPES.includes(definition.type)) {
+    errors.push(`type must be one of: ${ATTRIBUTE_TYPES.join(", ")}`);
+  }
+
+  if ((isNew || definition.name !== undefined) && !definition.name) {
+    errors.push("name is required");
+  }
+
+  if (
+    definition.allowed_values !== undefined &&
+    definition.allowed_values !== null &&
+    (!Array.isArray(definition.allowed_values) ||
+      definition.allowed_values.length === 0 ||
+      !definition.allowed_values.every((value) => typeof value === "string"))
+  ) {
+    errors.push("allowed_values must be a non-empty array of strings");
+  }
+
+  return errors;
+};
+
+/**
+ * Create a new attribute definition
+ * @param {Object} definition - The definition data
+ * @param {string} definition.code - Unique code (e.g. "material")
+ * @param {string} definition.name - Display name (e.g. "Material")
+ * @param {string} definition.type - One of ATTRIBUTE_TYPES
+ * @param {string} definition.unit - Unit of a number attribute (e.g. "kg")
+ * @param {Array<string>} definition.allowed_values - Values of an enum attribute
+ * @returns {Promise<Object>} Result of the insert operation
+ */
+const createAttributeDefinition = async (definition) => {
+  const errors = validateDefinition(definition, true);
+
+  if (definition.type === "enum" && !definition.allowed_values) {
+    errors.push("allowed_values is required for enum attributes");
+  }
+  if (definition.type !== "enum" && definition.allowed_values) {
+    errors.push("allowed_values is only valid for enum attributes");
+  }
+  if (definition.type !== "number" && definition.unit) {
+    errors.push("unit is only valid for number attributes");
+  }
+
+  if (errors.length > 0) {
+    throw createServiceError(400, "Invalid attribute", errors.join("; "));
+  }
+
+  const query = `
+    INSERT INTO attribute_definitions (code, name, type, unit, allowed_values)
+    VALUES (?, ?, ?, ?, ?)
+  `;
+  const params = [
+    definition.code,
+    definition.name,
+    definition.type,
+    definition.unit || null,
+    definition.allowed_values
+      ? JSON.stringify(definition.allowed_values)
+      : null,
+  ];
+
+  return executeQuery(query, params);
+};
+
+/**
+ * Update an attribute definition
+ * The code and type cannot change once products may use the attribute; an
+ * enum's allowed_values cannot drop a value that products still use
+ * @param {number} id - The definition ID to update
+ * @param {Object} definition - The updated fields (name, unit, allowed_values)
+ * @returns {Promise<Object>} Result of the update operation
+ */
+const updateAttributeDefinition = async (id, definition) => {
+  const current = await getAttributeDefinitionById(id);
+  const errors = validateDefinition(definition, false);
+
+  if (definition.code !== undefined || definition.type !== undefined) {
+    errors.push("code and type cannot be changed");
+  }
+  if (current.type !== "enum" && definition.allowed_values !== undefined) {
+    errors.push("allowed_values is only valid for enum attributes");
+  }
+  if (current.type === "enum" && definition.allowed_values === null) {
+    errors.push("allowed_values is required for enum attributes");
+  }
+  if (current.type !== "number" && definition.unit) {
+    errors.push("unit is only valid for number attributes");
+  }
+
+  if (errors.length > 0) {
+    throw createServiceError(400, "Invalid attribute", errors.join("; "));
+  }
+
+  // Create dynamic query based on provided fields
+  const updates = [];
+  const params = [];
+
+  if (definition.name !== undefined) {
+    updates.push("name = ?");
+    params.push(definition.name);
+  }
+
+  if (definition.unit !== undefined) {
+    updates.push("unit = ?");
+    params.push(definition.unit || null);
+  }
+
+  if (definition.allowed_values !== undefined) {
+    const placeholders = definition.allowed_values.map(() => "?").join(", ");
+    const inUse = await executeQuery(
+      `
+        SELECT DISTINCT value_text
+        FROM product_attribute_values
+        WHERE attribute_id = ? AND value_text NOT IN (${placeholders})
+      `,
+      [id, ...definition.allowed_values]
+    );
+
+    if (inUse.length > 0) {
+      throw createServiceError(
+        409,
+        "Attribute values in use",
+        "Products still use values that are no longer allowed",
+        { values: inUse.map((row) => row.value_text) }
+      );
+    }
+
+    updates.push("allowed_values = ?");
+    params.push(JSON.stringify(definition.allowed_values));
+  }
+
+  if (updates.length === 0) {
+    return { message: "No attribute fields to update" };
+  }
+
+  // Add the ID at the end of params
+  params.push(id);
+
+  const query = `
+    UPDATE attribute_definitions
+    SET ${updates.join(", ")}
+    WHERE id = ?
+  `;
+  return executeQuery(query, params);
+};
+
+/**
+ * Delete an attribute definition
+ * The attribute is removed from every product that has it
+ * @param {number} id - The definition ID to delete
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteAttributeDefinition = async (id) => {
+  const query = `DELETE FROM attribute_definitions WHERE id = ?`;
+  return executeQuery(query, [id]);
+};
+
+/**
+ * Check a product attribute value against its definition
+ * @param {Object} definition - The attribute definition
+ * @param {*} value - The value from the request
+ * @returns {string|null} The validation error, or null if the value is valid
+ */
+const validateAttributeValue = (definition, value) => {
+  switch (definition.type) {
+    case "text":
+      return typeof value === "string" && value.length <= MAX_TEXT_LENGTH
+        ? null
+        : `must be a string of at most ${MAX_TEXT_LENGTH} characters`;
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? null
+        : "must be a number";
+    case "enum":
+      return definition.allowed_values.includes(value)
+        ? null
+        : `must be one of: ${definition.allowed_values.join(", ")}`;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    default:
+      return `has an unsupported type ${definition.type}`;
+  }
+};
+
+/**
+ * Validate and save attribute values of a product
+ * Only the given attributes change; a null value removes the attribute
+ * Throws a 400 service error listing the invalid attributes by code
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} productId - The product ID
+ * @param {Object} attributes - Attribute values keyed by code
+ */
+const setProductAttributes = async (connection, productId, attributes) => {
+  const codes = Object.keys(attributes);
+  const definitions = await getDefinitionsByCode(codes);
+  const errors = {};
+
+  for (const code of codes) {
+    const definition = definitions.get(code);
+    if (!definition) {
+      errors[code] = "is not a defined attribute";
+    } else if (attributes[code] !== null) {
+      const error = validateAttributeValue(definition, attributes[code]);
+      if (error) {
+        errors[code] = error;
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw createServiceError(
+      400,
+      "Invalid attributes",
+      "One or more attribute values are invalid",
+      { errors }
+    );
+  }
+
+  for (const code of codes) {
+    const definition = definitions.get(code);
+    const value = attributes[code];
+
+    if (value === null) {
+      await connection.execute(
+        "DELETE FROM product_attribute_values WHERE product_id = ? AND attribute_id = ?",
+        [productId, definition.id]
+      );
+      continue;
+    }
+
+    const column = VALUE_COLUMNS[definition.type];
+    await connection.execute(
+      `
+        INSERT INTO product_attribute_values (product_id, attribute_id, ${column})
+        VALUES (?, ?, ?)
+        ON DUPLICATE KEY UPDATE ${column} = VALUES(${column})
+      `,
+      [productId, definition.id, value]
+    );
+  }
+};
+
+/**
+ * Get the attributes of several products at once
+ * @param {Array<number>} productIds - The product IDs
+ * @returns {Promise<Object>} Attribute objects keyed by product ID, each
+ * mapping attribute codes to their name, type, value and unit
+ */
+const getAttributesForProducts = async (productIds) => {
+  const attributesByProduct = {};
+  if (productIds.length === 0) {
+    return attributesByProduct;
+  }
+
+  const placeholders = productIds.map(() => "?").join(", ");
+  const rows = await executeQuery(
+    `
+      SELECT pav.product_id, d.code, d.name, d.type, d.unit,
+             pav.value_text, pav.value_number, pav.value_boolean
+      FROM product_attribute_values pav
+      JOIN attribute_definitions d ON pav.attribute_id = d.id
+      WHERE pav.product_id IN (${placeholders})
+      ORDER BY d.name ASC
+    `,
+    productIds
+  );
+
+  for (const row of rows) {
+    if (!attributesByProduct[row.product_id]) {
+      attributesByProduct[row.product_id] = {};
+    }
+
+    let value = row.value_text;
+    if (row.type === "number") {
+      value = Number(row.value_number);
+    } else if (row.type === "boolean") {
+      value = !!row.value_boolean;
+    }
+
+    attributesByProduct[row.product_id][row.code] = {
+      name: row.name,
+      type: row.type,
+      value,
+      unit: row.unit,
+    };
+  }
+
+  return attributesByProduct;
+};
+
+/**
+ * Resolve attribute filters from a product listing to SQL-ready conditions
+ * Throws a 400 service error for unknown codes or values of the wrong type
+ * @param {Object} filters - Filters keyed by code, each with eq, min or max
+ * @returns {Promise<Array<Object>>} The filters with attributeId, column and typed values
+ */
+const resolveAttributeFilters = async (filters) => {
+  const codes = Object.keys(filters);
+  const definitions = await getDefinitionsByCode(codes);
+  const resolved = [];
+
+  for (const code of codes) {
+    const definition = definitions.get(code);
+    if (!definition) {
+      throw createServiceError(
+        400,
+        "Invalid filter",
+        `${code} is not a defined attribute`
+      );
+    }
+
+    const { eq, min, max } = filters[code];
+    const filter = {
+      attributeId: definition.id,
+      column: VALUE_COLUMNS[definition.type],
+    };
+
+    if (definition.type === "number") {
+      for (const [key, value] of Object.entries({ eq, min, max })) {
+        if (value === undefined) {
+          continue;
+        }
+        if (value === "" || !Number.isFinite(Number(value))) {
+          throw createServiceError(
+            400,
+            "Invalid filter",
+            `attr.${code} values must be numbers`
+          );
+        }
+        filter[key] = Number(value);
+      }
+    } else if (min !== undefined || max !== undefined) {
+      throw createServiceError(
+        400,
+        "Invalid filter",
+        `attr.${code} only supports exact matches`
+      );
+    } else if (definition.type === "boolean") {
+      if (eq !== "true" && eq !== "false") {
+        throw createServiceError(
+          400,
+          "Invalid filter",
+          `attr.${code} must be true or false`
+        );
+      }
+      filter.eq = eq === "true";
+    } else {
+      filter.eq = eq;
+    }
+
+    resolved.push(filter);
+  }
+
+  return resolved;
+};
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  getAttributeDefinitions,
+  getAttributeDefinitionById,
+  createAttributeDefinition,
+  updateAttributeDefinition,
+  deleteAttributeDefinition,
+  setProductAttributes,
+  getAttributesForProducts,
+  resolveAttributeFilters,
+};
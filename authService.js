@@ -0,0 +1,250 @@
+/**
+ * authService.js
+ * This module verifies JWT bearer tokens and turns them into the principal
+ * (the authenticated caller) that handlers receive as event.principal.
+ *
+ * Tokens are verified locally with Node's crypto module, configured through:
+ * - JWT_SECRET: shared secret for HS256 tokens (handy for local/offline testing)
+ * - JWT_JWKS: a JSON Web Key Set given inline, for RS256 tokens
+ * - JWT_JWKS_URI: URL of the identity provider's JWKS, for RS256 tokens
+ * - JWT_ISSUER / JWT_AUDIENCE: optional expected "iss" and "aud" claims
+ */
+
+const crypto = require("crypto");
+const { createServiceError } = require("./serviceError");
+
+// Allowed clock difference when checking exp and nbf, in seconds
+const CLOCK_TOLERANCE = 60;
+
+// How long keys fetched from JWT_JWKS_URI are reused, in milliseconds
+const JWKS_CACHE_TTL = 10 * 60 * 1000;
+
+let cachedJwks = null;
+let cachedJwksAt = 0;
+
+/**
+ * Create the error returned for a missing or invalid token
+ * @param {string} message - Why the token was rejected
+ * @returns {Error} The 401 error
+ */
+const unauthorized = (message) => {
+  return createServiceError(401, "Unauthorized", message);
+};
+
+/**
+ * Decode a base64url JWT segment as a JSON object
+ * @param {string} segment - The encoded segment
+ * @returns {Object} The decoded object
+ */
+const decodeSegment = (segment) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+  } catch (error) {
+    throw unauthorized("Malformed token");
+  }
+
+  // Valid JSON such as null, 42 or [] is not a header or claims set
+  if (!decoded || typeof decoded !== "object" || Array.isArray(decoded)) {
+    throw unauthorized("Malformed token");
+  }
+
+  return decoded;
+};
+
+/**
+ * Get the JSON Web Key Set configured for RS256 tokens
+ * @returns {Promise<Array<Object>>} The keys (empty if none are configured)
+ */
+const getJwks = async () => {
+  if (process.env.JWT_JWKS) {
+    return JSON.parse(process.env.JWT_JWKS).keys || [];
+  }
+
+  if (!process.env.JWT_JWKS_URI) {
+    return [];
+  }
+
+  if (!cachedJwks || Date.now() - cachedJwksAt > JWKS_CACHE_TTL) {
+    const response = await fetch(process.env.JWT_JWKS_URI);
+    if (!response.ok) {
+      throw new Error(`Could not fetch JWKS: HTTP ${response.status}`);
+    }
+    cachedJwks = (await response.json()).keys || [];
+    cachedJwksAt = Date.now();
+  }
+
+  return cachedJwks;
+};
+
+/**
+ * Check a token's signature against the configured secret or keys
+ * Only algorithms with configured keys are accepted, so an HS256 token cannot
+ * be signed with a public RS256 key and "none" is always rejected
+ * @param {Object} header - The decoded token header
+ * @param {string} signedPart - The "header.payload" part of the token
+ * @param {Buffer} signature - The decoded signature
+ * @returns {Promise<boolean>} Whether the signature is valid
+ */
+const verifySignature = async (header, signedPart, signature) => {
+  if (header.alg === "HS256" && process.env.JWT_SECRET) {
+    const expected = crypto
+      .createHmac("sha256", process.env.JWT_SECRET)
+      .update(signedPart)
+      .digest();
+    return (
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature)
+    );
+  }
+
+  if (header.alg === "RS256") {
+    const keys = await getJwks();
+    const jwk = keys.find(
+      (key) => key.kty === "RSA" && (!header.kid || key.kid === header.kid)
+    );
+    if (!jwk) {
+      return false;
+    }
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" });
+    return crypto.verify(
+      "RSA-SHA256",
+      Buffer.from(signedPart),
+      publicKey,
+      signature
+    );
+  }
+
+  return false;
+};
+
+/**
+ * Check the time, issuer and audience claims of a verified token
+ * @param {Object} payload - The decoded token payload
+ */
+const verifyClaims = (payload) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  if (typeof payload.exp !== "number" || payload.exp + CLOCK_TOLERANCE < now) {
+    throw unauthorized("Token has expired");
+  }
+
+  if (typeof payload.nbf === "number" && payload.nbf - CLOCK_TOLERANCE > now) {
+    throw unauthorized("Token is not valid yet");
+  }
+
+  if (process.env.JWT_ISSUER && payload.iss !== process.env.JWT_ISSUER) {
+    throw unauthorized("Token issuer is not accepted");
+  }
+
+  if (process.env.JWT_AUDIENCE) {
+    const audiences = [].concat(payload.aud || []);
+    if (!audiences.includes(process.env.JWT_AUDIENCE)) {
+      throw unauthorized("Token audience is not accepted");
+    }
+  }
+
+  if (!payload.sub) {
+    throw unauthorized("Token has no subject");
+  }
+};
+
+/**
+ * Verify a JWT and return its payload
+ * Throws a 401 service error if the token is malformed, badly signed or expired
+ * @param {string} token - The encoded token
+ * @returns {Promise<Object>} The token payload (claims)
+ */
+const verifyToken = async (token) => {
+  if (
+    !process.env.JWT_SECRET &&
+    !process.env.JWT_JWKS &&
+    !process.env.JWT_JWKS_URI
+  ) {
+    console.error(
+      "No JWT_SECRET, JWT_JWKS or JWT_JWKS_URI configured; rejecting request"
+    );
+    throw createServiceError(
+      500,
+      "Authentication not configured",
+      "The API cannot verify tokens"
+    );
+  }
+
+  const segments = token.split(".");
+  if (segments.length !== 3) {
+    throw unauthorized("Malformed token");
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  const valid = await verifySignature(
+    header,
+    `${encodedHeader}.${encodedPayload}`,
+    Buffer.from(encodedSignature, "base64url")
+  );
+  if (!valid) {
+    throw unauthorized("Invalid token signature");
+  }
+
+  verifyClaims(payload);
+  return payload;
+};
+
+/**
+ * Authenticate a request from its Authorization header
+ * @param {string} authorizationHeader - The header value ("Bearer <token>")
+ * @returns {Promise<Object>} The principal: id (sub), email, roles and all claims
+ */
+const authenticate = async (authorizationHeader) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(authorizationHeader || "");
+  if (!match) {
+    throw unauthorized("A bearer token is required");
+  }
+
+  const claims = await verifyToken(match[1]);
+
+  return {
+    id: claims.sub,
+    email: claims.email || null,
+    // Roles come from a "roles" claim, or from Cognito user pool groups
+    roles: [].concat(claims.roles || claims["cognito:groups"] || []),
+    claims,
+  };
+};
+
+/**
+ * Sign an HS256 token with JWT_SECRET, for local and offline testing
+ * @param {Object} claims - The claims (sub is required)
+ * @param {number} expiresIn - Lifetime in seconds (default one hour)
+ * @returns {string} The encoded token
+ */
+const signToken = (claims, expiresIn = 3600) => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is required to sign tokens");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const signedPart = `${encode({ alg: "HS256", typ: "JWT" })}.${encode({
+    iat: now,
+    exp: now + expiresIn,
+    ...claims,
+  })}`;
+  const signature = crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(signedPart)
+    .digest("base64url");
+
+  return `${signedPart}.${signature}`;
+};
+
+module.exports = {
+  authenticate,
+  verifyToken,
+  signToken,
+};
@@ -0,0 +1,54 @@
+-- Categories Tables Creation
+-- Hierarchical categories: a category with a parent_id is nested under that parent
+-- Recursive queries on this table require MySQL 8.0+
+CREATE TABLE IF NOT EXISTS categories (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    parent_id INT DEFAULT NULL,
+    name VARCHAR(255) NOT NULL,
+    slug VARCHAR(255) NOT NULL,
+    description TEXT DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    -- Categories with children cannot be deleted (enforced by the API as well)
+    FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE RESTRICT,
+    UNIQUE KEY unique_slug (slug),
+    INDEX idx_parent_id (parent_id)
+);
+-- Many-to-many assignment of products to categories
+CREATE TABLE IF NOT EXISTS product_categories (
+    product_id INT NOT NULL,
+    category_id INT NOT NULL,
+    PRIMARY KEY (product_id, category_id),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
+    INDEX idx_category_id (category_id)
+);
+-- Example: get category 1 and all of its descendants
+WITH RECURSIVE category_tree AS (
+    SELECT id
+    FROM categories
+    WHERE id = 1
+    UNION ALL
+    SELECT c.id
+    FROM categories c
+        JOIN category_tree t ON c.parent_id = t.id
+)
+SELECT id
+FROM category_tree;
+-- Example: products in category 1 or any of its descendants
+SELECT DISTINCT p.*
+FROM products p
+    JOIN product_categories pc ON p.id = pc.product_id
+WHERE pc.category_id IN (
+        WITH RECURSIVE category_tree AS (
+            SELECT id
+            FROM categories
+            WHERE id = 1
+            UNION ALL
+            SELECT c.id
+            FROM categories c
+                JOIN category_tree t ON c.parent_id = t.id
+        )
+        SELECT id
+        FROM category_tree
+    );
@@ -0,0 +1,302 @@
+/**
+ * categoryService.js
+ * This module contains functions for CRUD operations on the categories table
+ * and the product_categories assignments (see categories-schema.sql)
+ */
+
+const { executeQuery } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+/**
+ * Turn a category name into a URL-friendly slug
+ * @param {string} name - The category name
+ * @returns {string} The slug (e.g. "Robes d'été" -> "robes-d-ete")
+ */
+const slugify = (name) => {
+  return name
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // Strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+};
+
+/**
+ * Build the breadcrumb path of every category
+ * @param {Array} categories - All category rows
+ * @returns {Map} Breadcrumb arrays (root first) keyed by category ID
+ */
+const buildCategoryPaths = (categories) => {
+  const byId = new Map(categories.map((category) => [category.id, category]));
+  const paths = new Map();
+
+  const getPath = (category, visiting = new Set()) => {
+    if (paths.has(category.id)) {
+      return paths.get(category.id);
+    }
+
+    const crumb = { id: category.id, name: category.name, slug: category.slug };
+    const parent = byId.get(category.parent_id);
+    visiting.add(category.id);
+
+    // Stop at the root, or at a parent already on the path (corrupted data forming a loop)
+    const path =
+      parent && !visiting.has(parent.id)
+        ? [...getPath(parent, visiting), crumb]
+        : [crumb];
+
+    paths.set(category.id, path);
+    return path;
+  };
+
+  for (const category of categories) {
+    getPath(category);
+  }
+
+  return paths;
+};
+
+/**
+ * Get all categories with their breadcrumb paths
+ * @returns {Promise<Array>} List of categories ordered by path
+ */
+const getAllCategories = async () => {
+  const query = `
+    SELECT id, parent_id, name, slug, description, created_at, updated_at
+    FROM categories
+  `;
+  const categories = await executeQuery(query);
+  const paths = buildCategoryPaths(categories);
+
+  return categories
+    .map((category) => ({ ...category, path: paths.get(category.id) }))
+    .sort((a, b) =>
+      a.path
+        .map((crumb) => crumb.name)
+        .join(" / ")
+        .localeCompare(b.path.map((crumb) => crumb.name).join(" / "))
+    );
+};
+
+/**
+ * Get a category by its ID or slug, with its breadcrumb path and children
+ * @param {number|string} idOrSlug - The category ID or slug
+ * @returns {Promise<Object>} The category data
+ */
+const getCategory = async (idOrSlug) => {
+  const categories = await getAllCategories();
+  const category = categories.find(
+    (candidate) =>
+      String(candidate.id) === String(idOrSlug) || candidate.slug === idOrSlug
+  );
+
+  if (!category) {
+    return undefined;
+  }
+
+  return {
+    ...category,
+    children: categories.filter((child) => child.parent_id === category.id),
+  };
+};
+
+/**
+ * Get the IDs of a category and all of its descendants
+ * @param {number} id - The category ID
+ * @returns {Promise<Array<number>>} The category IDs
+ */
+const getDescendantCategoryIds = async (id) => {
+  const query = `
+    WITH RECURSIVE category_tree AS (
+      SELECT id FROM categories WHERE id = ?
+      UNION ALL
+      SELECT c.id FROM categories c JOIN category_tree t ON c.parent_id = t.id
+    )
+    SELECT id FROM category_tree
+  `;
+  const rows = await executeQuery(query, [id]);
+  return rows.map((row) => row.id);
+};
+
+/**
+ * Create a new category
+ * @param {Object} category - The category data
+ * @returns {Promise<Object>} Result of the insert operation
+ */
+const createCategory = async (category) => {
+  const query = `
+    INSERT INTO categories (parent_id, name, slug, description)
+    VALUES (?, ?, ?, ?)
+  `;
+  const params = [
+    category.parent_id || null,
+    category.name,
+    category.slug || slugify(category.name),
+    category.description || null,
+  ];
+
+  return executeQuery(query, params);
+};
+
+/**
+ * Update an existing category
+ * @param {number} id - The category ID to update
+ * @param {Object} category - The updated category data
+ * @returns {Promise<Object>} Result of the update operation
+ */
+const updateCategory = async (id, category) => {
+  // A category cannot be moved under itself or one of its descendants
+  if (category.parent_id) {
+    const descendantIds = await getDescendantCategoryIds(id);
+    if (descendantIds.includes(Number(category.parent_id))) {
+      throw createServiceError(
+        400,
+        "Invalid parent",
+        "A category cannot be nested under itself or one of its descendants"
+      );
+    }
+  }
+
+  // Create dynamic query based on provided fields
+  const updates = [];
+  const params = [];
+
+  if (category.parent_id !== undefined) {
+    updates.push("parent_id = ?");
+    params.push(category.parent_id || null);
+  }
+
+  if (category.name !== undefined) {
+    updates.push("name = ?");
+    params.push(category.name);
+  }
+
+  if (category.slug !== undefined) {
+    updates.push("slug = ?");
+    params.push(category.slug || slugify(category.name || ""));
+  }
+
+  if (category.description !== undefined) {
+    updates.push("description = ?");
+    params.push(category.description);
+  }
+
+  if (updates.length === 0) {
+    throw createServiceError(
+      400,
+      "No updates provided",
+      "No fields to update were provided"
+    );
+  }
+
+  // Add the ID at the end of params
+  params.push(id);
+
+  const query = `
+    UPDATE categories
+    SET ${updates.join(", ")}
+    WHERE id = ?
+  `;
+
+  return executeQuery(query, params);
+};
+
+/**
+ * Delete a category by its ID
+ * Categories that still have children cannot be deleted
+ * @param {number} id - The category ID to delete
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteCategory = async (id) => {
+  const children = await executeQuery(
+    "SELECT COUNT(*) AS count FROM categories WHERE parent_id = ?",
+    [id]
+  );
+
+  if (children[0].count > 0) {
+    throw createServiceError(
+      409,
+      "Category has children",
+      "Move or delete the child categories first",
+      { childCount: children[0].count }
+    );
+  }
+
+  const query = `DELETE FROM categories WHERE id = ?`;
+  return executeQuery(query, [id]);
+};
+
+/**
+ * Replace the categories a product is assigned to
+ * Runs in the caller's transaction, so the product and its categories are
+ * saved together
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} productId - The product ID
+ * @param {Array<number>} categoryIds - The category IDs
+ */
+const setProductCategories = async (connection, productId, categoryIds) => {
+  await connection.execute(
+    "DELETE FROM product_categories WHERE product_id = ?",
+    [productId]
+  );
+
+  for (const categoryId of new Set(categoryIds)) {
+    await connection.execute(
+      "INSERT INTO product_categories (product_id, category_id) VALUES (?, ?)",
+      [productId, categoryId]
+    );
+  }
+};
+
+/**
+ * Get the categories of several products, each with its breadcrumb path
+ * @param {Array<number>} productIds - The product IDs
+ * @returns {Promise<Object>} Lists of categories keyed by product ID
+ */
+const getCategoriesForProducts = async (productIds) => {
+  const categoriesByProduct = {};
+  if (productIds.length === 0) {
+    return categoriesByProduct;
+  }
+
+  const placeholders = productIds.map(() => "?").join(", ");
+  const assignments = await executeQuery(
+    `
+      SELECT product_id, category_id
+      FROM product_categories
+      WHERE product_id IN (${placeholders})
+    `,
+    productIds
+  );
+
+  if (assignments.length === 0) {
+    return categoriesByProduct;
+  }
+
+  const categories = await executeQuery(
+    "SELECT id, parent_id, name, slug FROM categories"
+  );
+  const paths = buildCategoryPaths(categories);
+
+  for (const { product_id, category_id } of assignments) {
+    const path = paths.get(category_id);
+    if (!categoriesByProduct[product_id]) {
+      categoriesByProduct[product_id] = [];
+    }
+    categoriesByProduct[product_id].push({ ...path[path.length - 1], path });
+  }
+
+  return categoriesByProduct;
+};
+
+module.exports = {
+  slugify,
+  getAllCategories,
+  getCategory,
+  getDescendantCategoryIds,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  setProductCategories,
+  getCategoriesForProducts,
+};
@@ -0,0 +1,126 @@
+/**
+ * csvUtils.js
+ * Minimal RFC 4180 CSV parsing and formatting used by product import/export and user data exports
+ */
+
+// Leading characters that make spreadsheet applications evaluate a cell as a
+// formula ("=HYPERLINK(...)", "+1+cmd|..."), including the tab and carriage
+// return some of them skip first; exported text starting with one is
+// prefixed with a quote so it is shown as text
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into rows of fields
+ * Supports quoted fields containing commas, quotes ("") and line breaks
+ * @param {string} text - The CSV text
+ * @returns {Array<Array<string>>} The rows, each an array of field values
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  // Ignore a UTF-8 byte order mark added by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      // Treat \r\n as a single line break
+      if (char === "\r" && input[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Invalid CSV: unterminated quoted field");
+  }
+
+  // Last line without a trailing line break
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter((fields) => fields.some((value) => value.trim() !== ""));
+};
+
+/**
+ * Parse CSV text with a header line into objects keyed by column name
+ * @param {string} text - The CSV text
+ * @returns {Object} The normalized (trimmed, lowercase) header and the records
+ */
+const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((column) => column.trim().toLowerCase());
+
+  const records = rows.map((fields) => {
+    const record = {};
+    columns.forEach((column, index) => {
+      const value = fields[index] === undefined ? "" : fields[index].trim();
+      // Undo the quote added by formatCsvField, so exports import unchanged
+      record[column] =
+        value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))
+          ? value.slice(1)
+          : value;
+    });
+    return record;
+  });
+
+  return { columns, records };
+};
+
+/**
+ * Format a single value as a CSV field, quoting it when needed
+ * Text that a spreadsheet would run as a formula is prefixed with a quote
+ * @param {*} value - The value
+ * @returns {string} The CSV field
+ */
+const formatCsvField = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  const text =
+    typeof value === "string" && FORMULA_PREFIX.test(value)
+      ? `'${value}`
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row of values as a CSV line (without line break)
+ * @param {Array} values - The values
+ * @returns {string} The CSV line
+ */
+const formatCsvRow = (values) => values.map(formatCsvField).join(",");
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  formatCsvRow,
+};
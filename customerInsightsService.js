@@ -0,0 +1,187 @@
+/**
+ * customerInsightsService.js
+ * This module contains functions for customer statistics and marketing
+ * segments, computed from orders joined to their users. Cancelled and
+ * refunded orders do not count towards spend or order counts.
+ */
+
+const { executeQuery } = require("./dbConnector");
+const { VOID_ORDER_STATUSES } = require("./orderStatusService");
+
+// Segments in the order they are assigned: a customer belongs to the first
+// one that matches
+const SEGMENTS = ["lapsed", "vip", "repeat", "new"];
+
+// Default segment thresholds, each overridable per request
+const DEFAULT_SEGMENT_THRESHOLDS = {
+  // Days since the last order after which a customer is lapsed
+  lapsedDays: 180,
+  // Lifetime spend from which a customer is VIP
+  vipSpend: 1000,
+  // Number of orders from which a customer is a repeat customer
+  repeatOrders: 2,
+};
+
+// Per-customer order totals, from the same orders-to-users join as the
+// order listing
+const CUSTOMER_TOTALS_QUERY = `
+  SELECT u.id AS user_id, u.first_name, u.last_name, u.email,
+         COUNT(o.id) AS order_count,
+         SUM(o.total_price) AS lifetime_spend,
+         MIN(o.created_at) AS first_order_at,
+         MAX(o.created_at) AS last_order_at
+  FROM orders o
+  JOIN users u ON o.user_id = u.id
+  WHERE o.order_status NOT IN (${VOID_ORDER_STATUSES.map(() => "?").join(", ")})
+`;
+
+/**
+ * Get the order statistics of a user
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object>} Lifetime spend, order count, average order value
+ * and first/last order dates (zero and null for a user without orders)
+ */
+const getUserStats = async (userId) => {
+  const rows = await executeQuery(
+    `${CUSTOMER_TOTALS_QUERY} AND u.id = ? GROUP BY u.id`,
+    [...VOID_ORDER_STATUSES, userId]
+  );
+  const totals = rows[0];
+
+  if (!totals) {
+    return {
+      user_id: Number(userId),
+      order_count: 0,
+      lifetime_spend: 0,
+      average_order_value: null,
+      first_order_at: null,
+      last_order_at: null,
+    };
+  }
+
+  const lifetimeSpend = Number(totals.lifetime_spend);
+  return {
+    user_id: totals.user_id,
+    order_count: totals.order_count,
+    lifetime_spend: lifetimeSpend,
+    average_order_value:
+      Math.round((lifetimeSpend / totals.order_count) * 100) / 100,
+    first_order_at: totals.first_order_at,
+    last_order_at: totals.last_order_at,
+  };
+};
+
+/**
+ * Build the query assigning each customer with orders to a segment
+ * Erased users are left out
+ * @param {Object} thresholds - The segment thresholds
+ * @returns {Object} The query and its parameters
+ */
+const buildSegmentQuery = (thresholds) => {
+  return {
+    query: `
+      SELECT totals.*,
+             CASE
+               WHEN totals.last_order_at < DATE_SUB(CURRENT_TIMESTAMP, INTERVAL ? DAY) THEN 'lapsed'
+               WHEN totals.lifetime_spend >= ? THEN 'vip'
+               WHEN totals.order_count >= ? THEN 'repeat'
+               ELSE 'new'
+             END AS segment
+      FROM (
+        ${CUSTOMER_TOTALS_QUERY} AND u.erased_at IS NULL
+        GROUP BY u.id, u.first_name, u.last_name, u.email
+      ) AS totals
+    `,
+    params: [
+      thresholds.lapsedDays,
+      thresholds.vipSpend,
+      thresholds.repeatOrders,
+      ...VOID_ORDER_STATUSES,
+    ],
+  };
+};
+
+/**
+ * Get the customer segments report
+ * @param {Object} options - Report options
+ * @param {number} options.lapsedDays - Days since the last order after which a customer is lapsed
+ * @param {number} options.vipSpend - Lifetime spend from which a customer is VIP
+ * @param {number} options.repeatOrders - Number of orders from which a customer is a repeat customer
+ * @returns {Promise<Object>} The thresholds used and, per segment, the number of customers and their spend
+ */
+const getSegmentReport = async (options = {}) => {
+  const thresholds = { ...DEFAULT_SEGMENT_THRESHOLDS, ...options };
+  const { query, params } = buildSegmentQuery(thresholds);
+
+  const rows = await executeQuery(
+    `
+      SELECT segment, COUNT(*) AS customer_count,
+             SUM(lifetime_spend) AS lifetime_spend,
+             SUM(order_count) AS order_count
+      FROM (${query}) AS customers
+      GROUP BY segment
+    `,
+    params
+  );
+
+  const segments = {};
+  for (const segment of SEGMENTS) {
+    const row = rows.find((candidate) => candidate.segment === segment);
+    segments[segment] = {
+      customer_count: row ? row.customer_count : 0,
+      lifetime_spend: row ? Number(row.lifetime_spend) : 0,
+      order_count: row ? Number(row.order_count) : 0,
+    };
+  }
+
+  return { thresholds, segments };
+};
+
+/**
+ * Get a page of the customers in a segment
+ * @param {string} segment - The segment (one of SEGMENTS)
+ * @param {Object} options - Listing options: the thresholds of getSegmentReport, page and limit
+ * @returns {Promise<Object>} The customers (highest spend first) with their totals, and pagination details
+ */
+const getSegmentCustomers = async (segment, options = {}) => {
+  const { page = 1, limit = 50, ...overrides } = options;
+  const offset = (page - 1) * limit;
+  const thresholds = { ...DEFAULT_SEGMENT_THRESHOLDS, ...overrides };
+  const { query, params } = buildSegmentQuery(thresholds);
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) AS total FROM (${query}) AS customers WHERE segment = ?`,
+    [...params, segment]
+  );
+  const total = countResult[0].total;
+
+  // LIMIT/OFFSET are validated integers, inlined like in the other listings
+  const customers = await executeQuery(
+    `
+      SELECT * FROM (${query}) AS customers
+      WHERE segment = ?
+      ORDER BY lifetime_spend DESC, user_id ASC
+      LIMIT ${limit} OFFSET ${offset}
+    `,
+    [...params, segment]
+  );
+
+  return {
+    thresholds,
+    segment,
+    customers,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  SEGMENTS,
+  getUserStats,
+  getSegmentReport,
+  getSegmentCustomers,
+};
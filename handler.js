@@ -5,30 +5,71 @@
 
 // Import service modules
 const productService = require("./productService");
+const productSearchService = require("./productSearchService");
+const productVariantService = require("./productVariantService");
+const categoryService = require("./categoryService");
+const attributeService = require("./attributeService");
+const productBundleService = require("./productBundleService");
+const productRelationService = require("./productRelationService");
+const productTranslationService = require("./productTranslationService");
+const stockMovementService = require("./stockMovementService");
+const productCsvService = require("./productCsvService");
+const priceService = require("./priceService");
+const lowStockService = require("./lowStockService");
 const userService = require("./userService");
+const userPrivacyService = require("./userPrivacyService");
+const userAddressService = require("./userAddressService");
+const customerInsightsService = require("./customerInsightsService");
+const userDuplicateService = require("./userDuplicateService");
 const orderService = require("./orderService");
+const orderStatusService = require("./orderStatusService");
 const imageService = require("./imageService");
 const productImageService = require("./productImageService");
 const stripeService = require("./stripeService");
+const authService = require("./authService");
+const rbacService = require("./rbacService");
+const { testStripePayment } = require("./stripeTest");
 
 /**
  * Helper function to create a standardized API response
  * @param {number} statusCode - HTTP status code
  * @param {Object|string} data - Response data or error message
+ * @param {Object} headers - Extra response headers (e.g. ETag)
  * @returns {Object} Formatted API Gateway response
  */
-const createResponse = (statusCode, data) => {
+const createResponse = (statusCode, data, headers = {}) => {
   return {
     statusCode,
     headers: {
       "Content-Type": "application/json",
       "Access-Control-Allow-Origin": "*", // Enable CORS for browser access
       "Access-Control-Allow-Credentials": true,
+      ...headers,
     },
     body: JSON.stringify(data),
   };
 };
 
+/**
+ * Helper function to create a CSV file download response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} csv - The CSV text
+ * @param {string} fileName - The file name suggested to the browser
+ * @returns {Object} Formatted API Gateway response
+ */
+const createCsvResponse = (statusCode, csv, fileName) => {
+  return {
+    statusCode,
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "Access-Control-Allow-Origin": "*", // Enable CORS for browser access
+      "Access-Control-Allow-Credentials": true,
+    },
+    body: csv,
+  };
+};
+
 /**
  * Parse request body from event
  * @param {string} body - The request body as a string
@@ -60,6 +101,169 @@ const getPathParameter = (event, param) => {
   return event.pathParameters[param];
 };
 
+/**
+ * Get a request header regardless of its case
+ * @param {Object} event - The Lambda event object
+ * @param {string} name - The header name
+ * @returns {string|undefined} The header value or undefined if not sent
+ */
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(
+    (header) => header.toLowerCase() === name.toLowerCase()
+  );
+  return key === undefined ? undefined : headers[key];
+};
+
+/**
+ * Create the ETag of a record from its version
+ * @param {number} version - The record's version
+ * @returns {string} The ETag header value
+ */
+const createETag = (version) => `"${version}"`;
+
+/**
+ * Check the If-Match header of an update against the record's current version
+ * @param {Object} event - The Lambda event object
+ * @param {Object} record - The record as it is now (with its version)
+ * @returns {Object|null} A 428/412 response, or null if the versions match
+ */
+const checkIfMatch = (event, record) => {
+  const ifMatch = getHeader(event, "If-Match");
+
+  if (!ifMatch) {
+    return createResponse(428, {
+      error: "Precondition required",
+      message: "Send the ETag from the last GET in an If-Match header",
+    });
+  }
+
+  // Accept weak ETags (W/"3") as well as strong ones
+  const version = ifMatch.trim().replace(/^W\//, "");
+  if (version !== createETag(record.version)) {
+    return createResponse(
+      412,
+      {
+        error: "Precondition failed",
+        message: "The record has been modified since it was read",
+        current: record,
+      },
+      { ETag: createETag(record.version) }
+    );
+  }
+
+  return null;
+};
+
+/**
+ * Get the name recorded as the author of a change (e.g. created_by columns)
+ * @param {Object} event - The Lambda event object with its authenticated principal
+ * @returns {string|null} The principal's email, or its ID if it has none
+ */
+const getPrincipalName = (event) => {
+  if (!event.principal) {
+    return null;
+  }
+
+  return event.principal.email || event.principal.id;
+};
+
+// Default and maximum page sizes for paginated listings
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+/**
+ * Parse page and limit query parameters for a paginated listing
+ * @param {Object} queryParams - The query string parameters
+ * @returns {Object|null} The page and limit, or null if either is invalid
+ */
+const getPaginationParams = (queryParams) => {
+  const page = queryParams.page === undefined ? 1 : Number(queryParams.page);
+  const limit =
+    queryParams.limit === undefined
+      ? DEFAULT_PAGE_LIMIT
+      : Number(queryParams.limit);
+
+  if (
+    !Number.isInteger(page) ||
+    page < 1 ||
+    !Number.isInteger(limit) ||
+    limit < 1 ||
+    limit > MAX_PAGE_LIMIT
+  ) {
+    return null;
+  }
+
+  return { page, limit };
+};
+
+/**
+ * Read the options shared by the endpoints returning products
+ * ?include=images embeds each product's full, ordered image list, and
+ * ?locale= takes precedence over the Accept-Language header
+ * @param {Object} event - API Gateway event
+ * @returns {Object|null} includeImages and locales, or null if ?locale= is invalid
+ */
+const getProductReadOptions = (event) => {
+  const queryParams = event.queryStringParameters || {};
+  const include = (queryParams.include || "").split(",");
+  const includeImages = include.includes("images");
+
+  if (queryParams.locale) {
+    const locale = productTranslationService.normalizeLocale(
+      queryParams.locale
+    );
+    return locale ? { includeImages, locales: [locale] } : null;
+  }
+
+  const locales = productTranslationService.parseAcceptLanguage(
+    getHeader(event, "Accept-Language")
+  );
+  return { includeImages, locales };
+};
+
+/**
+ * Response for a ?locale= that is not a language tag
+ * @returns {Object} The 400 response
+ */
+const createInvalidLocaleResponse = () =>
+  createResponse(400, {
+    error: "Invalid locale",
+    message: 'locale must be a language tag such as "en" or "en-GB"',
+  });
+
+/**
+ * Parse an optional numeric query parameter
+ * @param {string} value - The raw query parameter value
+ * @returns {number|undefined|null} The number, undefined if absent, or null if not numeric
+ */
+const parseNumberParam = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - The raw query parameter value
+ * @returns {string|undefined|null} The date (YYYY-MM-DD), undefined if absent, or null if not a valid date
+ */
+const parseDateParam = (value) => {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+    !Number.isNaN(date.getTime()) &&
+    date.toISOString().startsWith(value)
+    ? value
+    : null;
+};
+
 /**
  * Generic error handler for API requests
  * @param {Error} error - The error object
@@ -85,14 +289,32 @@ const handleError = (error) => {
     });
   }
 
-  // Handle foreign key constraint errors
-  if (error.code === "ER_NO_REFERENCED_ROW") {
+  // Handle foreign key constraint errors (MySQL 5.5+ reports inserts as _2)
+  if (
+    error.code === "ER_NO_REFERENCED_ROW" ||
+    error.code === "ER_NO_REFERENCED_ROW_2"
+  ) {
     return createResponse(400, {
       error: "Invalid reference",
       message: "Referenced record does not exist",
     });
   }
 
+  // Handle errors raised by the services with an explicit HTTP status
+  if (error.isServiceError) {
+    // Stale updates return the current record; send its ETag for the retry
+    const { current } = error.details || {};
+    return createResponse(
+      error.statusCode,
+      {
+        error: error.error,
+        message: error.message,
+        ...error.details,
+      },
+      current ? { ETag: createETag(current.version) } : {}
+    );
+  }
+
   // Handle other specific errors as needed
 
   // Default error response
@@ -102,174 +324,1994 @@ const handleError = (error) => {
   });
 };
 
+/**
+ * Check a product's low_stock_threshold (omitted or null disables alerts)
+ * @param {*} threshold - The threshold from the request body
+ * @returns {boolean} Whether the threshold is valid
+ */
+const isValidLowStockThreshold = (threshold) => {
+  return (
+    threshold === undefined ||
+    threshold === null ||
+    (Number.isInteger(threshold) && threshold >= 0)
+  );
+};
+
+/**
+ * Check customer segment thresholds parsed with parseNumberParam
+ * (undefined keeps the default)
+ * @param {Object} thresholds - The lapsedDays, vipSpend and repeatOrders thresholds
+ * @returns {boolean} Whether the thresholds are valid
+ */
+const isValidSegmentThresholds = ({ lapsedDays, vipSpend, repeatOrders }) => {
+  return (
+    (lapsedDays === undefined ||
+      (Number.isInteger(lapsedDays) && lapsedDays > 0)) &&
+    (vipSpend === undefined || (vipSpend !== null && vipSpend >= 0)) &&
+    (repeatOrders === undefined ||
+      (Number.isInteger(repeatOrders) && repeatOrders >= 2))
+  );
+};
+
 // ========== Product Handlers ==========
 
 /**
- * Get all products or a single product by ID
+ * Get a paginated, filtered list of products or a single product by ID
  */
 exports.getProducts = async (event) => {
   try {
     const productId = getPathParameter(event, "id");
+    const queryParams = event.queryStringParameters || {};
+
+    const readOptions = getProductReadOptions(event);
+    if (!readOptions) {
+      return createInvalidLocaleResponse();
+    }
+    const { includeImages, locales } = readOptions;
 
     if (productId) {
       // Get a specific product
-      const product = await productService.getProductById(productId);
+      const product = await productService.getProductById(productId, {
+        includeImages,
+        locales,
+      });
 
       if (!product) {
         return createResponse(404, { error: "Product not found" });
       }
 
-      return createResponse(200, product);
+      return createResponse(200, product, {
+        ETag: createETag(product.version),
+        "Content-Language": product.locale,
+      });
+    } else {
+      // Get a page of products
+      const pagination = getPaginationParams(queryParams);
+      if (!pagination) {
+        return createResponse(400, {
+          error: "Invalid pagination",
+          message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+        });
+      }
+
+      const sortColumns = productService.PRODUCT_SORT_COLUMNS;
+      if (queryParams.sortBy && !sortColumns.includes(queryParams.sortBy)) {
+        return createResponse(400, {
+          error: "Invalid sort column",
+          message: `sortBy must be one of: ${sortColumns.join(", ")}`,
+        });
+      }
+
+      const filters = {
+        minPrice: parseNumberParam(queryParams.minPrice),
+        maxPrice: parseNumberParam(queryParams.maxPrice),
+        minQuantity: parseNumberParam(queryParams.minQuantity),
+        maxQuantity: parseNumberParam(queryParams.maxQuantity),
+      };
+
+      if (Object.values(filters).includes(null)) {
+        return createResponse(400, {
+          error: "Invalid filter",
+          message:
+            "minPrice, maxPrice, minQuantity and maxQuantity must be numbers",
+        });
+      }
+
+      // Resolve the category (ID or slug) to itself and all its descendants
+      if (queryParams.category) {
+        const category = await categoryService.getCategory(
+          queryParams.category
+        );
+        if (!category) {
+          return createResponse(404, { error: "Category not found" });
+        }
+        filters.categoryIds = await categoryService.getDescendantCategoryIds(
+          category.id
+        );
+      }
+
+      // attr.<code>=value matches an attribute; attr.<code>.min/.max a number range
+      const attributeFilters = {};
+      for (const [key, value] of Object.entries(queryParams)) {
+        const match = key.match(/^attr\.([a-z0-9_]+)(?:\.(min|max))?$/);
+        if (match) {
+          attributeFilters[match[1]] = {
+            ...attributeFilters[match[1]],
+            [match[2] || "eq"]: value,
+          };
+        }
+      }
+      if (Object.keys(attributeFilters).length > 0) {
+        filters.attributeFilters =
+          await attributeService.resolveAttributeFilters(attributeFilters);
+      }
+
+      const result = await productService.getAllProducts({
+        ...pagination,
+        ...filters,
+        name: queryParams.name,
+        archived: queryParams.archived === "true",
+        includeImages,
+        locales,
+        sortBy: queryParams.sortBy,
+        sortOrder: queryParams.sortOrder,
+      });
+      return createResponse(200, result);
+    }
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Search products by name and description
+ */
+exports.searchProducts = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const searchQuery = (queryParams.q || "").trim();
+
+    if (!searchQuery) {
+      return createResponse(400, {
+        error: "Missing parameter",
+        message: "q is required",
+      });
+    }
+
+    const pagination = getPaginationParams(queryParams);
+    if (!pagination) {
+      return createResponse(400, {
+        error: "Invalid pagination",
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+      });
+    }
+
+    const readOptions = getProductReadOptions(event);
+    if (!readOptions) {
+      return createInvalidLocaleResponse();
+    }
+
+    const result = await productSearchService.searchProducts(searchQuery, {
+      ...pagination,
+      ...readOptions,
+    });
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Import products from a CSV file
+ * Accepts raw CSV (Content-Type: text/csv) or JSON with a "csv" field
+ */
+exports.importProducts = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+    const contentType = getHeader(event, "Content-Type") || "";
+
+    let csvText;
+    if (contentType.includes("application/json")) {
+      csvText = parseBody(event.body).csv;
+    } else if (event.isBase64Encoded) {
+      csvText = Buffer.from(event.body || "", "base64").toString("utf8");
     } else {
-      // Get all products
-      const products = await productService.getAllProducts();
-      return createResponse(200, products);
+      csvText = event.body;
+    }
+
+    if (!csvText || typeof csvText !== "string") {
+      return createResponse(400, {
+        error: "CSV data is required",
+        message: "Send the CSV as a text/csv body or as a csv field in JSON",
+      });
+    }
+
+    const result = await productCsvService.importProducts(csvText, {
+      dryRun: queryParams.dryRun === "true",
+      createdBy: getPrincipalName(event),
+    });
+
+    if (!result.valid) {
+      return createResponse(400, {
+        error: "Invalid import",
+        message:
+          result.message || "Some rows are invalid; no products were imported",
+        ...result,
+      });
+    }
+
+    return createResponse(result.dryRun ? 200 : 201, result);
+  } catch (error) {
+    if (error.message.startsWith("Invalid CSV")) {
+      return createResponse(400, {
+        error: "Invalid CSV",
+        message: error.message,
+      });
+    }
+
+    return handleError(error);
+  }
+};
+
+/**
+ * Export the whole product catalogue as a CSV file
+ */
+exports.exportProducts = async () => {
+  try {
+    const csv = await productCsvService.exportProducts();
+    const date = new Date().toISOString().slice(0, 10);
+    return createCsvResponse(200, csv, `products-${date}.csv`);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create a new product
+ */
+exports.createProduct = async (event) => {
+  try {
+    const productData = parseBody(event.body);
+
+    if (!productData.name || !productData.price) {
+      return createResponse(400, {
+        error: "Product name and price are required",
+      });
+    }
+
+    if (
+      productData.category_ids !== undefined &&
+      !Array.isArray(productData.category_ids)
+    ) {
+      return createResponse(400, {
+        error: "category_ids must be an array",
+      });
+    }
+
+    if (
+      productData.attributes !== undefined &&
+      (productData.attributes === null ||
+        typeof productData.attributes !== "object" ||
+        Array.isArray(productData.attributes))
+    ) {
+      return createResponse(400, {
+        error: "attributes must be an object keyed by attribute code",
+      });
+    }
+
+    if (!isValidLowStockThreshold(productData.low_stock_threshold)) {
+      return createResponse(400, {
+        error: "low_stock_threshold must be a non-negative integer or null",
+      });
+    }
+
+    const result = await productService.createProduct(productData, {
+      createdBy: getPrincipalName(event),
+    });
+
+    return createResponse(201, {
+      message: "Product created successfully",
+      productId: result.insertId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Update an existing product
+ */
+exports.updateProduct = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const productData = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (
+      productData.category_ids !== undefined &&
+      !Array.isArray(productData.category_ids)
+    ) {
+      return createResponse(400, {
+        error: "category_ids must be an array",
+      });
+    }
+
+    if (
+      productData.attributes !== undefined &&
+      (productData.attributes === null ||
+        typeof productData.attributes !== "object" ||
+        Array.isArray(productData.attributes))
+    ) {
+      return createResponse(400, {
+        error: "attributes must be an object keyed by attribute code",
+      });
+    }
+
+    if (!isValidLowStockThreshold(productData.low_stock_threshold)) {
+      return createResponse(400, {
+        error: "low_stock_threshold must be a non-negative integer or null",
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const preconditionFailed = checkIfMatch(event, product);
+    if (preconditionFailed) {
+      return preconditionFailed;
+    }
+
+    const result = await productService.updateProduct(productId, productData, {
+      expectedVersion: product.version,
+      createdBy: getPrincipalName(event),
+    });
+    const version = result.version || product.version;
+
+    return createResponse(
+      200,
+      {
+        message: result.message,
+        productId,
+        version,
+      },
+      { ETag: createETag(version) }
+    );
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Archive a product
+ * The product is hidden from listings and new orders but kept for order history
+ * and its images stay in S3; use restoreProduct to undo or purgeProduct to delete
+ */
+exports.deleteProduct = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    await productService.archiveProduct(productId);
+
+    return createResponse(200, {
+      message: "Product archived successfully",
+      productId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Restore an archived product
+ */
+exports.restoreProduct = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    if (!product.archived_at) {
+      return createResponse(409, {
+        error: "Product not archived",
+        message: `Product ${productId} is not archived`,
+      });
+    }
+
+    await productService.restoreProduct(productId);
+
+    return createResponse(200, {
+      message: "Product restored successfully",
+      productId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Permanently delete an archived product and all its images (including from S3)
+ */
+exports.purgeProduct = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    // Only archived products can be purged, so a single click cannot destroy data
+    if (!product.archived_at) {
+      return createResponse(409, {
+        error: "Product not archived",
+        message: "Archive the product before purging it",
+      });
+    }
+
+    // First delete all product images (including from S3)
+    // This ensures S3 cleanup before database cascade deletion
+    try {
+      await productImageService.deleteProductImages(productId, true);
+      console.log(`Cleaned up images for product ${productId}`);
+    } catch (imageError) {
+      console.error(
+        `Error cleaning up images for product ${productId}:`,
+        imageError
+      );
+      // Continue with product deletion even if image cleanup fails
+      // The database cascade will still clean up the database records
+    }
+
+    await productService.purgeProduct(productId);
+
+    return createResponse(200, {
+      message: "Product purged successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Product Variant Handlers ==========
+
+/**
+ * Get all variants of a product or a single variant by ID
+ */
+exports.getProductVariants = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const variantId = getPathParameter(event, "variantId");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (variantId) {
+      const variant = await productVariantService.getProductVariantById(
+        variantId
+      );
+
+      if (!variant || variant.product_id != productId) {
+        return createResponse(404, { error: "Variant not found" });
+      }
+
+      return createResponse(200, variant);
+    }
+
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    return createResponse(200, product.variants);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create a new variant for a product
+ */
+exports.createProductVariant = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const variantData = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (!variantData.sku) {
+      return createResponse(400, { error: "Variant SKU is required" });
+    }
+
+    if (
+      variantData.option_value_ids !== undefined &&
+      !Array.isArray(variantData.option_value_ids)
+    ) {
+      return createResponse(400, {
+        error: "option_value_ids must be an array",
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await productVariantService.createProductVariant(
+      productId,
+      variantData,
+      { createdBy: getPrincipalName(event) }
+    );
+
+    return createResponse(201, {
+      message: "Variant created successfully",
+      variantId: result.id,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Update an existing variant
+ */
+exports.updateProductVariant = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const variantId = getPathParameter(event, "variantId");
+    const variantData = parseBody(event.body);
+
+    if (!productId || !variantId) {
+      return createResponse(400, {
+        error: "Product ID and variant ID are required",
+      });
+    }
+
+    if (
+      variantData.option_value_ids !== undefined &&
+      !Array.isArray(variantData.option_value_ids)
+    ) {
+      return createResponse(400, {
+        error: "option_value_ids must be an array",
+      });
+    }
+
+    // Check if variant exists and belongs to the product
+    const variant = await productVariantService.getProductVariantById(
+      variantId
+    );
+    if (!variant || variant.product_id != productId) {
+      return createResponse(404, { error: "Variant not found" });
+    }
+
+    await productVariantService.updateProductVariant(
+      variantId,
+      productId,
+      variantData,
+      { createdBy: getPrincipalName(event) }
+    );
+
+    return createResponse(200, {
+      message: "Variant updated successfully",
+      variantId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Delete a variant
+ */
+exports.deleteProductVariant = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const variantId = getPathParameter(event, "variantId");
+
+    if (!productId || !variantId) {
+      return createResponse(400, {
+        error: "Product ID and variant ID are required",
+      });
+    }
+
+    // Check if variant exists and belongs to the product
+    const variant = await productVariantService.getProductVariantById(
+      variantId
+    );
+    if (!variant || variant.product_id != productId) {
+      return createResponse(404, { error: "Variant not found" });
+    }
+
+    await productVariantService.deleteProductVariant(variantId);
+
+    return createResponse(200, {
+      message: "Variant deleted successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Get all option types of a product with their values
+ */
+exports.getProductOptions = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    const options = await productVariantService.getProductOptions(productId);
+    return createResponse(200, options);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create a new option type with its values for a product
+ */
+exports.createProductOption = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const optionData = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (!optionData.name || !Array.isArray(optionData.values)) {
+      return createResponse(400, {
+        error: "Option name and values array are required",
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await productVariantService.createProductOption(
+      productId,
+      optionData
+    );
+
+    return createResponse(201, {
+      message: "Option created successfully",
+      optionId: result.id,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Delete an option type and its values
+ */
+exports.deleteProductOption = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const optionId = getPathParameter(event, "optionId");
+
+    if (!productId || !optionId) {
+      return createResponse(400, {
+        error: "Product ID and option ID are required",
+      });
+    }
+
+    // Check if option exists and belongs to the product
+    const option = await productVariantService.getProductOptionById(optionId);
+    if (!option || option.product_id != productId) {
+      return createResponse(404, { error: "Option not found" });
+    }
+
+    await productVariantService.deleteProductOption(optionId);
+
+    return createResponse(200, {
+      message: "Option deleted successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Stock Movement Handlers ==========
+
+/**
+ * Get the stock movement history of a product
+ */
+exports.getStockMovements = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const queryParams = event.queryStringParameters || {};
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    const pagination = getPaginationParams(queryParams);
+    if (!pagination) {
+      return createResponse(400, {
+        error: "Invalid pagination",
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await stockMovementService.getStockMovements(productId, {
+      ...pagination,
+      variantId: queryParams.variantId,
+    });
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Post a stock movement (restock, manual adjustment, return or correction)
+ * Sales are only recorded through order items
+ */
+exports.createStockMovement = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const movementData = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (!Number.isInteger(movementData.delta) || movementData.delta === 0) {
+      return createResponse(400, {
+        error: "delta must be a non-zero integer",
+      });
+    }
+
+    const allowedReasons = stockMovementService.MOVEMENT_REASONS.filter(
+      (reason) => reason !== "sale"
+    );
+    if (!allowedReasons.includes(movementData.reason)) {
+      return createResponse(400, {
+        error: "Invalid reason",
+        message: `reason must be one of: ${allowedReasons.join(", ")}`,
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await stockMovementService.adjustStock(productId, {
+      variantId: movementData.variant_id,
+      delta: movementData.delta,
+      reason: movementData.reason,
+      note: movementData.note,
+      createdBy: getPrincipalName(event),
+    });
+
+    return createResponse(201, {
+      message: "Stock movement recorded successfully",
+      movementId: result.id,
+      balance: result.balance,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Compare a product's stock level with its ledger
+ * With apply set, posts a correction movement to bring the ledger in line
+ */
+exports.reconcileStock = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const body = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await stockMovementService.reconcileStock(productId, {
+      variantId: body.variant_id,
+      apply: body.apply === true,
+      createdBy: getPrincipalName(event),
+    });
+
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Get a paginated report of products and variants at or below their reorder threshold
+ */
+exports.getLowStockProducts = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+
+    const pagination = getPaginationParams(queryParams);
+    if (!pagination) {
+      return createResponse(400, {
+        error: "Invalid pagination",
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+      });
+    }
+
+    const result = await lowStockService.getLowStockItems(pagination);
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Product Pricing Handlers ==========
+
+/**
+ * Get a product's current prices, price rules and regular price history
+ */
+exports.getProductPricing = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    // Check if product exists (this also resolves its effective price)
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const pricing = await priceService.getProductPricing(productId);
+
+    return createResponse(200, {
+      productId: product.id,
+      regular_price: product.regular_price,
+      effective_price: product.effective_price,
+      active_price_rule: product.active_price_rule,
+      ...pricing,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Schedule a sale or future price for a product
+ */
+exports.createPriceRule = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const ruleData = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (typeof ruleData.price !== "number" || ruleData.price < 0) {
+      return createResponse(400, {
+        error: "price must be a non-negative number",
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await priceService.createPriceRule(productId, ruleData, {
+      createdBy: getPrincipalName(event),
+    });
+
+    return createResponse(201, {
+      message: "Price rule created successfully",
+      priceRuleId: result.insertId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Cancel a price rule: delete it if it has not started, otherwise end it now
+ */
+exports.cancelPriceRule = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const ruleId = getPathParameter(event, "ruleId");
+
+    if (!productId || !ruleId) {
+      return createResponse(400, {
+        error: "Product ID and price rule ID are required",
+      });
+    }
+
+    // Check if the rule exists and belongs to the product
+    const rule = await priceService.getPriceRuleById(ruleId);
+    if (!rule || rule.product_id != productId) {
+      return createResponse(404, { error: "Price rule not found" });
+    }
+
+    const result = await priceService.cancelPriceRule(ruleId);
+
+    return createResponse(200, {
+      message: result.message,
+      priceRuleId: ruleId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Bundle and Related Product Handlers ==========
+
+// Default and maximum number of frequently bought together products
+const DEFAULT_RELATED_LIMIT = 10;
+const MAX_RELATED_LIMIT = 50;
+
+/**
+ * Get a bundle's components and the quantity their stock allows
+ */
+exports.getProductBundle = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    const bundle = await productBundleService.getBundle(productId);
+    if (!bundle) {
+      return createResponse(404, { error: "Product is not a bundle" });
+    }
+
+    return createResponse(200, bundle);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Set the components of a bundle (an empty list makes it a regular product)
+ */
+exports.setProductBundle = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const body = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (
+      !Array.isArray(body.items) ||
+      !body.items.every(
+        (item) =>
+          item &&
+          item.product_id &&
+          Number.isInteger(item.quantity) &&
+          item.quantity > 0
+      )
+    ) {
+      return createResponse(400, {
+        error: "Invalid bundle items",
+        message:
+          "items must be an array of { product_id, quantity } with a positive integer quantity",
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    await productBundleService.setBundleItems(productId, body.items);
+
+    return createResponse(200, {
+      message: "Bundle updated successfully",
+      bundle: await productBundleService.getBundle(productId),
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Get a product's curated related products and frequently bought together products
+ */
+exports.getRelatedProducts = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const queryParams = event.queryStringParameters || {};
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    const limit =
+      queryParams.limit === undefined
+        ? DEFAULT_RELATED_LIMIT
+        : Number(queryParams.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED_LIMIT) {
+      return createResponse(400, {
+        error: "Invalid limit",
+        message: `limit must be between 1 and ${MAX_RELATED_LIMIT}`,
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await productRelationService.getRelatedProducts(productId, {
+      limit,
+    });
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Curate a related product link
+ */
+exports.addRelatedProduct = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const body = parseBody(event.body);
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    if (!body.related_product_id) {
+      return createResponse(400, { error: "related_product_id is required" });
+    }
+
+    if (body.position !== undefined && !Number.isInteger(body.position)) {
+      return createResponse(400, { error: "position must be an integer" });
+    }
+
+    // Check if both products exist
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const relatedProduct = await productService.getProductById(
+      body.related_product_id
+    );
+    if (!relatedProduct) {
+      return createResponse(400, {
+        error: "Invalid reference",
+        message: `Product ${body.related_product_id} does not exist`,
+      });
+    }
+
+    await productRelationService.addRelatedProduct(productId, body);
+
+    return createResponse(201, {
+      message: "Related product added successfully",
+      productId,
+      relatedProductId: body.related_product_id,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Remove a curated related product link
+ */
+exports.removeRelatedProduct = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const relatedProductId = getPathParameter(event, "relatedId");
+
+    if (!productId || !relatedProductId) {
+      return createResponse(400, {
+        error: "Product ID and related product ID are required",
+      });
+    }
+
+    const result = await productRelationService.removeRelatedProduct(
+      productId,
+      relatedProductId
+    );
+    if (result.affectedRows === 0) {
+      return createResponse(404, { error: "Related product link not found" });
+    }
+
+    return createResponse(200, {
+      message: "Related product removed successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Translation Handlers ==========
+
+/**
+ * Get all translations of a product and its images
+ */
+exports.getProductTranslations = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+
+    if (!productId) {
+      return createResponse(400, { error: "Product ID is required" });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await productTranslationService.getProductTranslations(
+      productId
+    );
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create or replace a product's name and description in a locale
+ */
+exports.setProductTranslation = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const locale = getPathParameter(event, "locale");
+    const body = parseBody(event.body);
+
+    if (!productId || !locale) {
+      return createResponse(400, {
+        error: "Product ID and locale are required",
+      });
+    }
+
+    if (!body.name && !body.description) {
+      return createResponse(400, {
+        error: "A translated name or description is required",
+      });
+    }
+
+    // Check if product exists
+    const product = await productService.getProductById(productId);
+    if (!product) {
+      return createResponse(404, { error: "Product not found" });
+    }
+
+    const result = await productTranslationService.setProductTranslation(
+      productId,
+      locale,
+      body
+    );
+
+    return createResponse(200, {
+      message: result.message,
+      productId,
+      locale: result.locale,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Delete a product's translation in a locale
+ */
+exports.deleteProductTranslation = async (event) => {
+  try {
+    const productId = getPathParameter(event, "id");
+    const locale = getPathParameter(event, "locale");
+
+    if (!productId || !locale) {
+      return createResponse(400, {
+        error: "Product ID and locale are required",
+      });
+    }
+
+    const result = await productTranslationService.deleteProductTranslation(
+      productId,
+      locale
+    );
+    if (result.affectedRows === 0) {
+      return createResponse(404, { error: "Translation not found" });
+    }
+
+    return createResponse(200, {
+      message: "Translation deleted successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create or replace a product image's alt text in a locale
+ */
+exports.setProductImageTranslation = async (event) => {
+  try {
+    const imageId = getPathParameter(event, "imageId");
+    const locale = getPathParameter(event, "locale");
+    const body = parseBody(event.body);
+
+    if (!imageId || !locale) {
+      return createResponse(400, {
+        error: "Image ID and locale are required",
+      });
+    }
+
+    if (!body.alt_text) {
+      return createResponse(400, { error: "alt_text is required" });
+    }
+
+    // Check if the image exists
+    const image = await productImageService.getProductImageById(imageId);
+    if (!image) {
+      return createResponse(404, {
+        error: "Image not found",
+        message: `No image found with ID ${imageId}`,
+      });
+    }
+
+    const result = await productTranslationService.setImageTranslation(
+      imageId,
+      locale,
+      body.alt_text
+    );
+
+    return createResponse(200, {
+      message: result.message,
+      imageId,
+      locale: result.locale,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Delete a product image's alt text translation in a locale
+ */
+exports.deleteProductImageTranslation = async (event) => {
+  try {
+    const imageId = getPathParameter(event, "imageId");
+    const locale = getPathParameter(event, "locale");
+
+    if (!imageId || !locale) {
+      return createResponse(400, {
+        error: "Image ID and locale are required",
+      });
+    }
+
+    const result = await productTranslationService.deleteImageTranslation(
+      imageId,
+      locale
+    );
+    if (result.affectedRows === 0) {
+      return createResponse(404, { error: "Translation not found" });
+    }
+
+    return createResponse(200, {
+      message: "Translation deleted successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Category Handlers ==========
+
+/**
+ * Get all categories or a single category by ID or slug
+ */
+exports.getCategories = async (event) => {
+  try {
+    const categoryId = getPathParameter(event, "id");
+
+    if (categoryId) {
+      // Get a specific category with its breadcrumb path and children
+      const category = await categoryService.getCategory(categoryId);
+
+      if (!category) {
+        return createResponse(404, { error: "Category not found" });
+      }
+
+      return createResponse(200, category);
+    } else {
+      // Get all categories
+      const categories = await categoryService.getAllCategories();
+      return createResponse(200, categories);
+    }
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create a new category
+ */
+exports.createCategory = async (event) => {
+  try {
+    const categoryData = parseBody(event.body);
+
+    if (!categoryData.name) {
+      return createResponse(400, { error: "Category name is required" });
+    }
+
+    if (categoryData.parent_id) {
+      const parent = await categoryService.getCategory(categoryData.parent_id);
+      if (!parent) {
+        return createResponse(400, {
+          error: "Invalid reference",
+          message: `Parent category ${categoryData.parent_id} does not exist`,
+        });
+      }
+    }
+
+    const result = await categoryService.createCategory(categoryData);
+
+    return createResponse(201, {
+      message: "Category created successfully",
+      categoryId: result.insertId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Update an existing category
+ */
+exports.updateCategory = async (event) => {
+  try {
+    const categoryId = getPathParameter(event, "id");
+    const categoryData = parseBody(event.body);
+
+    if (!categoryId) {
+      return createResponse(400, { error: "Category ID is required" });
+    }
+
+    // Check if category exists
+    const category = await categoryService.getCategory(categoryId);
+    if (!category) {
+      return createResponse(404, { error: "Category not found" });
+    }
+
+    await categoryService.updateCategory(category.id, categoryData);
+
+    return createResponse(200, {
+      message: "Category updated successfully",
+      categoryId: category.id,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Delete a category
+ * Products are unassigned from it; categories with children cannot be deleted
+ */
+exports.deleteCategory = async (event) => {
+  try {
+    const categoryId = getPathParameter(event, "id");
+
+    if (!categoryId) {
+      return createResponse(400, { error: "Category ID is required" });
+    }
+
+    // Check if category exists
+    const category = await categoryService.getCategory(categoryId);
+    if (!category) {
+      return createResponse(404, { error: "Category not found" });
+    }
+
+    await categoryService.deleteCategory(category.id);
+
+    return createResponse(200, {
+      message: "Category deleted successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Attribute Handlers ==========
+
+/**
+ * Get all attribute definitions or a single one by ID
+ */
+exports.getAttributes = async (event) => {
+  try {
+    const attributeId = getPathParameter(event, "id");
+
+    if (attributeId) {
+      // Get a specific attribute definition
+      const attribute = await attributeService.getAttributeDefinitionById(
+        attributeId
+      );
+
+      if (!attribute) {
+        return createResponse(404, { error: "Attribute not found" });
+      }
+
+      return createResponse(200, attribute);
+    } else {
+      // Get all attribute definitions
+      const attributes = await attributeService.getAttributeDefinitions();
+      return createResponse(200, attributes);
+    }
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create a new attribute definition
+ */
+exports.createAttribute = async (event) => {
+  try {
+    const attributeData = parseBody(event.body);
+
+    if (!attributeData.code || !attributeData.name || !attributeData.type) {
+      return createResponse(400, {
+        error: "Attribute code, name and type are required",
+      });
+    }
+
+    const result = await attributeService.createAttributeDefinition(
+      attributeData
+    );
+
+    return createResponse(201, {
+      message: "Attribute created successfully",
+      attributeId: result.insertId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Update an existing attribute definition
+ */
+exports.updateAttribute = async (event) => {
+  try {
+    const attributeId = getPathParameter(event, "id");
+    const attributeData = parseBody(event.body);
+
+    if (!attributeId) {
+      return createResponse(400, { error: "Attribute ID is required" });
+    }
+
+    // Check if attribute exists
+    const attribute = await attributeService.getAttributeDefinitionById(
+      attributeId
+    );
+    if (!attribute) {
+      return createResponse(404, { error: "Attribute not found" });
+    }
+
+    await attributeService.updateAttributeDefinition(
+      attributeId,
+      attributeData
+    );
+
+    return createResponse(200, {
+      message: "Attribute updated successfully",
+      attributeId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Delete an attribute definition
+ * The attribute is removed from every product that has it
+ */
+exports.deleteAttribute = async (event) => {
+  try {
+    const attributeId = getPathParameter(event, "id");
+
+    if (!attributeId) {
+      return createResponse(400, { error: "Attribute ID is required" });
+    }
+
+    // Check if attribute exists
+    const attribute = await attributeService.getAttributeDefinitionById(
+      attributeId
+    );
+    if (!attribute) {
+      return createResponse(404, { error: "Attribute not found" });
+    }
+
+    await attributeService.deleteAttributeDefinition(attributeId);
+
+    return createResponse(200, {
+      message: "Attribute deleted successfully",
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== User Handlers ==========
+
+/**
+ * Get all users or a single user by ID
+ */
+exports.getUsers = async (event) => {
+  try {
+    const userId = getPathParameter(event, "id");
+
+    if (userId) {
+      // Get a specific user
+      const user = await userService.getUserById(userId);
+
+      if (!user) {
+        return createResponse(404, { error: "User not found" });
+      }
+
+      return createResponse(200, user, { ETag: createETag(user.version) });
+    } else {
+      // Get a page of users
+      const queryParams = event.queryStringParameters || {};
+      const pagination = getPaginationParams(queryParams);
+      if (!pagination) {
+        return createResponse(400, {
+          error: "Invalid pagination",
+          message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+        });
+      }
+
+      const sortColumns = userService.USER_SORT_COLUMNS;
+      if (queryParams.sortBy && !sortColumns.includes(queryParams.sortBy)) {
+        return createResponse(400, {
+          error: "Invalid sort column",
+          message: `sortBy must be one of: ${sortColumns.join(", ")}`,
+        });
+      }
+
+      const dateFilters = {
+        birthdateFrom: parseDateParam(queryParams.birthdateFrom),
+        birthdateTo: parseDateParam(queryParams.birthdateTo),
+        createdFrom: parseDateParam(queryParams.createdFrom),
+        createdTo: parseDateParam(queryParams.createdTo),
+      };
+
+      if (Object.values(dateFilters).includes(null)) {
+        return createResponse(400, {
+          error: "Invalid filter",
+          message:
+            "birthdateFrom, birthdateTo, createdFrom and createdTo must be dates (YYYY-MM-DD)",
+        });
+      }
+
+      const result = await userService.getAllUsers({
+        ...pagination,
+        ...dateFilters,
+        search: (queryParams.q || "").trim(),
+        gender: queryParams.gender,
+        erased: queryParams.erased === "true",
+        sortBy: queryParams.sortBy,
+        sortOrder: queryParams.sortOrder,
+      });
+      return createResponse(200, result);
+    }
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Create a new user
+ */
+exports.createUser = async (event) => {
+  try {
+    const userData = parseBody(event.body);
+
+    // Required fields and formats are checked by userService (422 by field)
+    const result = await userService.createUser(userData);
+
+    return createResponse(201, {
+      message: "User created successfully",
+      userId: result.insertId,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Update an existing user
+ */
+exports.updateUser = async (event) => {
+  try {
+    const userId = getPathParameter(event, "id");
+    const userData = parseBody(event.body);
+
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
+    }
+
+    // Check if user exists
+    const user = await userService.getUserById(userId);
+    if (!user) {
+      return createResponse(404, { error: "User not found" });
+    }
+
+    const preconditionFailed = checkIfMatch(event, user);
+    if (preconditionFailed) {
+      return preconditionFailed;
+    }
+
+    const result = await userService.updateUser(userId, userData, {
+      expectedVersion: user.version,
+    });
+    const version = result.version || user.version;
+
+    return createResponse(
+      200,
+      {
+        message: result.message,
+        userId,
+        version,
+      },
+      { ETag: createETag(version) }
+    );
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Erase a user's personal data (GDPR right to erasure)
+ */
+exports.deleteUser = async (event) => {
+  try {
+    const userId = getPathParameter(event, "id");
+
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
+    }
+
+    // Users are anonymized rather than deleted so their orders are kept
+    const result = await userPrivacyService.eraseUser(
+      userId,
+      getPrincipalName(event)
+    );
+
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Export all personal data held about a user (GDPR subject access request)
+ * ?format=csv returns a CSV file instead of JSON
+ */
+exports.exportUserData = async (event) => {
+  try {
+    const userId = getPathParameter(event, "id");
+    const format = (event.queryStringParameters || {}).format || "json";
+
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
+    }
+
+    if (!["json", "csv"].includes(format)) {
+      return createResponse(400, {
+        error: "Invalid format",
+        message: "format must be json or csv",
+      });
+    }
+
+    const data = await userPrivacyService.exportUserData(userId);
+    if (!data) {
+      return createResponse(404, { error: "User not found" });
+    }
+
+    const date = data.exported_at.slice(0, 10);
+    if (format === "csv") {
+      return createCsvResponse(
+        200,
+        userPrivacyService.formatUserDataCsv(data),
+        `user-${userId}-export-${date}.csv`
+      );
+    }
+
+    return createResponse(200, data, {
+      "Content-Disposition": `attachment; filename="user-${userId}-export-${date}.json"`,
+    });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Duplicate User Handlers ==========
+
+/**
+ * Find users sharing a normalized email, phone number or name
+ * ?match=email,phone,name restricts the kinds of matches (default all)
+ */
+exports.getDuplicateUsers = async (event) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+
+    const pagination = getPaginationParams(queryParams);
+    if (!pagination) {
+      return createResponse(400, {
+        error: "Invalid pagination",
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+      });
+    }
+
+    const allowed = userDuplicateService.DUPLICATE_MATCHES;
+    const matches = queryParams.match
+      ? [...new Set(queryParams.match.split(","))]
+      : allowed;
+    if (matches.some((match) => !allowed.includes(match))) {
+      return createResponse(400, {
+        error: "Invalid match",
+        message: `match must be a comma-separated list of: ${allowed.join(
+          ", "
+        )}`,
+      });
     }
+
+    const result = await userDuplicateService.findDuplicateUsers({
+      ...pagination,
+      matches,
+    });
+    return createResponse(200, result);
   } catch (error) {
     return handleError(error);
   }
 };
 
 /**
- * Create a new product
+ * Merge a duplicate user (duplicate_user_id) into the user of the path
  */
-exports.createProduct = async (event) => {
+exports.mergeUser = async (event) => {
   try {
-    const productData = parseBody(event.body);
+    const userId = getPathParameter(event, "id");
+    const { duplicate_user_id: duplicateUserId } = parseBody(event.body);
 
-    if (!productData.name || !productData.price) {
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
+    }
+
+    if (!Number.isInteger(duplicateUserId)) {
       return createResponse(400, {
-        error: "Product name and price are required",
+        error: "duplicate_user_id must be a user ID",
       });
     }
 
-    const result = await productService.createProduct(productData);
+    const result = await userDuplicateService.mergeUsers(
+      userId,
+      duplicateUserId,
+      getPrincipalName(event)
+    );
 
-    return createResponse(201, {
-      message: "Product created successfully",
-      productId: result.insertId,
-    });
+    return createResponse(200, result);
   } catch (error) {
     return handleError(error);
   }
 };
 
+// ========== Customer Insight Handlers ==========
+
 /**
- * Update an existing product
+ * Get a user's order statistics (lifetime spend, order count, average order
+ * value, first and last order dates)
  */
-exports.updateProduct = async (event) => {
+exports.getUserStats = async (event) => {
   try {
-    const productId = getPathParameter(event, "id");
-    const productData = parseBody(event.body);
+    const userId = getPathParameter(event, "id");
 
-    if (!productId) {
-      return createResponse(400, { error: "Product ID is required" });
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
     }
 
-    // Check if product exists
-    const product = await productService.getProductById(productId);
-    if (!product) {
-      return createResponse(404, { error: "Product not found" });
+    const user = await userService.getUserById(userId);
+    if (!user) {
+      return createResponse(404, { error: "User not found" });
     }
 
-    await productService.updateProduct(productId, productData);
-
-    return createResponse(200, {
-      message: "Product updated successfully",
-      productId,
-    });
+    const stats = await customerInsightsService.getUserStats(userId);
+    return createResponse(200, stats);
   } catch (error) {
     return handleError(error);
   }
 };
 
 /**
- * Delete a product
+ * Get the customer segments report, or with ?segment= a page of the
+ * customers in one segment
  */
-exports.deleteProduct = async (event) => {
+exports.getCustomerSegments = async (event) => {
   try {
-    const productId = getPathParameter(event, "id");
+    const queryParams = event.queryStringParameters || {};
 
-    if (!productId) {
-      return createResponse(400, { error: "Product ID is required" });
+    const thresholds = {
+      lapsedDays: parseNumberParam(queryParams.lapsedDays),
+      vipSpend: parseNumberParam(queryParams.vipSpend),
+      repeatOrders: parseNumberParam(queryParams.repeatOrders),
+    };
+
+    if (!isValidSegmentThresholds(thresholds)) {
+      return createResponse(400, {
+        error: "Invalid threshold",
+        message:
+          "lapsedDays must be a positive integer, vipSpend a non-negative number and repeatOrders an integer of at least 2",
+      });
     }
 
-    // Check if product exists
-    const product = await productService.getProductById(productId);
-    if (!product) {
-      return createResponse(404, { error: "Product not found" });
+    // Thresholds that are not given keep their defaults
+    for (const [name, value] of Object.entries(thresholds)) {
+      if (value === undefined) {
+        delete thresholds[name];
+      }
     }
 
-    // First delete all product images (including from S3)
-    // This ensures S3 cleanup before database cascade deletion
-    try {
-      await productImageService.deleteProductImages(productId, true);
-      console.log(`Cleaned up images for product ${productId}`);
-    } catch (imageError) {
-      console.error(
-        `Error cleaning up images for product ${productId}:`,
-        imageError
-      );
-      // Continue with product deletion even if image cleanup fails
-      // The database cascade will still clean up the database records
+    if (!queryParams.segment) {
+      const report = await customerInsightsService.getSegmentReport(thresholds);
+      return createResponse(200, report);
+    }
+
+    const segments = customerInsightsService.SEGMENTS;
+    if (!segments.includes(queryParams.segment)) {
+      return createResponse(400, {
+        error: "Invalid segment",
+        message: `segment must be one of: ${segments.join(", ")}`,
+      });
     }
 
-    await productService.deleteProduct(productId);
+    const pagination = getPaginationParams(queryParams);
+    if (!pagination) {
+      return createResponse(400, {
+        error: "Invalid pagination",
+        message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_LIMIT}`,
+      });
+    }
 
-    return createResponse(200, {
-      message: "Product deleted successfully",
-    });
+    const result = await customerInsightsService.getSegmentCustomers(
+      queryParams.segment,
+      { ...thresholds, ...pagination }
+    );
+    return createResponse(200, result);
   } catch (error) {
     return handleError(error);
   }
 };
 
-// ========== User Handlers ==========
+// ========== User Address Handlers ==========
 
 /**
- * Get all users or a single user by ID
+ * Get a user's addresses (?type=shipping|billing) or a single address by ID
  */
-exports.getUsers = async (event) => {
+exports.getUserAddresses = async (event) => {
   try {
     const userId = getPathParameter(event, "id");
+    const addressId = getPathParameter(event, "addressId");
+    const { type } = event.queryStringParameters || {};
 
-    if (userId) {
-      // Get a specific user
-      const user = await userService.getUserById(userId);
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
+    }
 
-      if (!user) {
-        return createResponse(404, { error: "User not found" });
+    if (addressId) {
+      const address = await userAddressService.getAddressById(
+        userId,
+        addressId
+      );
+      if (!address) {
+        return createResponse(404, { error: "Address not found" });
       }
+      return createResponse(200, address);
+    }
 
-      return createResponse(200, user);
-    } else {
-      // Get all users
-      const users = await userService.getAllUsers();
-      return createResponse(200, users);
+    if (type && !userAddressService.ADDRESS_TYPES.includes(type)) {
+      return createResponse(400, {
+        error: "Invalid address type",
+        message: `type must be one of: ${userAddressService.ADDRESS_TYPES.join(
+          ", "
+        )}`,
+      });
     }
+
+    const user = await userService.getUserById(userId);
+    if (!user) {
+      return createResponse(404, { error: "User not found" });
+    }
+
+    const addresses = await userAddressService.getAddresses(userId, type);
+    return createResponse(200, addresses);
   } catch (error) {
     return handleError(error);
   }
 };
 
 /**
- * Create a new user
+ * Add an address to a user's address book
  */
-exports.createUser = async (event) => {
+exports.createUserAddress = async (event) => {
   try {
-    const userData = parseBody(event.body);
+    const userId = getPathParameter(event, "id");
+    const addressData = parseBody(event.body);
 
-    if (!userData.first_name || !userData.last_name || !userData.email) {
-      return createResponse(400, {
-        error: "First name, last name, and email are required",
-      });
+    if (!userId) {
+      return createResponse(400, { error: "User ID is required" });
     }
 
-    const result = await userService.createUser(userData);
+    const result = await userAddressService.createAddress(userId, addressData);
 
     return createResponse(201, {
-      message: "User created successfully",
-      userId: result.insertId,
+      message: "Address created successfully",
+      addressId: result.insertId,
     });
   } catch (error) {
     return handleError(error);
@@ -277,55 +2319,53 @@ exports.createUser = async (event) => {
 };
 
 /**
- * Update an existing user
+ * Update an address of a user
  */
-exports.updateUser = async (event) => {
+exports.updateUserAddress = async (event) => {
   try {
     const userId = getPathParameter(event, "id");
-    const userData = parseBody(event.body);
-
-    if (!userId) {
-      return createResponse(400, { error: "User ID is required" });
-    }
+    const addressId = getPathParameter(event, "addressId");
+    const addressData = parseBody(event.body);
 
-    // Check if user exists
-    const user = await userService.getUserById(userId);
-    if (!user) {
-      return createResponse(404, { error: "User not found" });
+    if (!userId || !addressId) {
+      return createResponse(400, {
+        error: "User ID and address ID are required",
+      });
     }
 
-    await userService.updateUser(userId, userData);
-
-    return createResponse(200, {
-      message: "User updated successfully",
+    const result = await userAddressService.updateAddress(
       userId,
-    });
+      addressId,
+      addressData
+    );
+
+    return createResponse(200, { ...result, addressId });
   } catch (error) {
     return handleError(error);
   }
 };
 
 /**
- * Delete a user
+ * Delete an address of a user (orders keep their copy of it)
  */
-exports.deleteUser = async (event) => {
+exports.deleteUserAddress = async (event) => {
   try {
     const userId = getPathParameter(event, "id");
+    const addressId = getPathParameter(event, "addressId");
 
-    if (!userId) {
-      return createResponse(400, { error: "User ID is required" });
+    if (!userId || !addressId) {
+      return createResponse(400, {
+        error: "User ID and address ID are required",
+      });
     }
 
-    // Check if user exists
-    const user = await userService.getUserById(userId);
-    if (!user) {
-      return createResponse(404, { error: "User not found" });
+    const result = await userAddressService.deleteAddress(userId, addressId);
+    if (result.affectedRows === 0) {
+      return createResponse(404, { error: "Address not found" });
     }
 
-    await userService.deleteUser(userId);
-
     return createResponse(200, {
-      message: "User deleted successfully",
+      message: "Address deleted successfully",
     });
   } catch (error) {
     return handleError(error);
@@ -349,7 +2389,7 @@ exports.getOrders = async (event) => {
         return createResponse(404, { error: "Order not found" });
       }
 
-      return createResponse(200, order);
+      return createResponse(200, order, { ETag: createETag(order.version) });
     } else {
       // Get all orders (basic info only)
       const orders = await orderService.getAllOrders();
@@ -371,7 +2411,10 @@ exports.createOrder = async (event) => {
       return createResponse(400, { error: "User ID is required" });
     }
 
-    const result = await orderService.createOrder(orderData);
+    const result = await orderService.createOrder(
+      orderData,
+      getPrincipalName(event)
+    );
 
     return createResponse(201, {
       message: "Order created successfully",
@@ -402,12 +2445,71 @@ exports.updateOrder = async (event) => {
       return createResponse(404, { error: "Order not found" });
     }
 
-    const result = await orderService.updateOrder(orderId, orderData);
+    const preconditionFailed = checkIfMatch(event, order);
+    if (preconditionFailed) {
+      return preconditionFailed;
+    }
 
-    return createResponse(200, {
-      message: result.message || "Order updated successfully",
-      orderId,
+    const result = await orderService.updateOrder(orderId, orderData, {
+      expectedVersion: order.version,
+    });
+    const version = result.version || order.version;
+
+    return createResponse(
+      200,
+      {
+        message: result.message || "Order updated successfully",
+        orderId,
+        version,
+      },
+      { ETag: createETag(version) }
+    );
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Move an order to another status of its lifecycle
+ * Body: status (one of the order statuses) and an optional note. Moves the
+ * lifecycle does not allow from the current status are refused with 409.
+ */
+exports.transitionOrder = async (event) => {
+  try {
+    const orderId = getPathParameter(event, "id");
+    const { status, note } = parseBody(event.body);
+
+    if (!orderId) {
+      return createResponse(400, { error: "Order ID is required" });
+    }
+
+    if (!status) {
+      return createResponse(400, {
+        error: "status is required",
+        allowed: orderStatusService.ORDER_STATUSES,
+      });
+    }
+
+    if (note !== undefined && note !== null && typeof note !== "string") {
+      return createResponse(400, { error: "note must be a string" });
+    }
+
+    const result = await orderService.transitionOrderStatus(orderId, status, {
+      changedBy: getPrincipalName(event),
+      note,
     });
+
+    return createResponse(
+      200,
+      {
+        message: result.message,
+        orderId,
+        from: result.from,
+        to: result.to,
+        version: result.version,
+      },
+      { ETag: createETag(result.version) }
+    );
   } catch (error) {
     return handleError(error);
   }
@@ -442,6 +2544,8 @@ exports.deleteOrder = async (event) => {
 
 /**
  * Add a new item to an existing order
+ * The service locks the order and refuses orders that are missing (404) or
+ * no longer open (409)
  */
 exports.addOrderItem = async (event) => {
   try {
@@ -452,22 +2556,36 @@ exports.addOrderItem = async (event) => {
       return createResponse(400, { error: "Order ID is required" });
     }
 
-    if (!itemData.product_id || !itemData.quantity || !itemData.unit_price) {
+    if (!itemData.product_id || !itemData.quantity) {
       return createResponse(400, {
-        error: "Product ID, quantity, and unit price are required",
+        error: "Product ID and quantity are required",
       });
     }
 
-    // Check if order exists
-    const order = await orderService.getOrderById(orderId);
-    if (!order) {
-      return createResponse(404, { error: "Order not found" });
+    if (!Number.isInteger(itemData.quantity) || itemData.quantity < 1) {
+      return createResponse(400, {
+        error: "Quantity must be a positive integer",
+      });
+    }
+
+    // Check that the variant, if given, belongs to the product
+    if (itemData.variant_id) {
+      const variant = await productVariantService.getProductVariantById(
+        itemData.variant_id
+      );
+      if (!variant || variant.product_id != itemData.product_id) {
+        return createResponse(400, {
+          error: "Invalid variant",
+          message: `Variant ${itemData.variant_id} does not belong to product ${itemData.product_id}`,
+        });
+      }
     }
 
     const result = await orderService.addOrderItem(orderId, itemData);
 
     return createResponse(201, {
       message: "Item added to order successfully",
+      unitPrice: result.unit_price,
       itemTotal: result.item_total,
     });
   } catch (error) {
@@ -1341,3 +3459,235 @@ exports.getPaymentIntent = async (event) => {
     return handleError(error);
   }
 };
+
+// ========== Role Handlers ==========
+
+/**
+ * Get all roles with their permissions, and every permission
+ */
+exports.getRoles = async () => {
+  try {
+    const roles = await rbacService.getRoles();
+    const permissions = await rbacService.getPermissions();
+    return createResponse(200, { roles, permissions });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Get the staff who have roles assigned
+ */
+exports.getStaff = async () => {
+  try {
+    const staff = await rbacService.getStaff();
+    return createResponse(200, staff);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Replace the roles of a staff member, identified by their token subject
+ */
+exports.setStaffRoles = async (event) => {
+  try {
+    const principalId = getPathParameter(event, "principalId");
+    const { roles } = parseBody(event.body);
+
+    if (!principalId) {
+      return createResponse(400, { error: "Principal ID is required" });
+    }
+
+    if (
+      !Array.isArray(roles) ||
+      roles.some((role) => typeof role !== "string")
+    ) {
+      return createResponse(400, {
+        error: "Invalid roles",
+        message: "roles must be an array of role names (empty to remove all)",
+      });
+    }
+
+    const result = await rbacService.setStaffRoles(
+      decodeURIComponent(principalId),
+      roles,
+      getPrincipalName(event)
+    );
+
+    return createResponse(200, result);
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+/**
+ * Get the caller's identity, roles and permissions
+ */
+exports.getCurrentPrincipal = async (event) => {
+  try {
+    const { roles, permissions } = await rbacService.resolveAccess(
+      event.principal
+    );
+    const { id, email } = event.principal;
+    return createResponse(200, { id, email, roles, permissions });
+  } catch (error) {
+    return handleError(error);
+  }
+};
+
+// ========== Authentication ==========
+
+/**
+ * Stripe test handler, exported here so it is authenticated like the others
+ */
+exports.testStripePayment = testStripePayment;
+
+// Handlers callable without a bearer token: Stripe authenticates its webhook
+// calls with the Stripe-Signature header instead
+const PUBLIC_HANDLERS = ["stripeWebhook"];
+
+// Permission each handler requires (see rbac-schema.sql); a list means any
+// of them, and an empty list any authenticated caller. Handlers missing from
+// this map are refused to every caller.
+const HANDLER_PERMISSIONS = {
+  getProducts: "products:read",
+  searchProducts: "products:read",
+  exportProducts: "products:read",
+  importProducts: "products:write",
+  createProduct: "products:write",
+  updateProduct: "products:write",
+  restoreProduct: "products:write",
+  deleteProduct: "products:delete",
+  purgeProduct: "products:delete",
+  getProductVariants: "products:read",
+  createProductVariant: "products:write",
+  updateProductVariant: "products:write",
+  deleteProductVariant: "products:write",
+  getProductOptions: "products:read",
+  createProductOption: "products:write",
+  deleteProductOption: "products:write",
+  getStockMovements: "products:read",
+  createStockMovement: "stock:write",
+  reconcileStock: "stock:write",
+  getLowStockProducts: "products:read",
+  getProductPricing: "products:read",
+  createPriceRule: "pricing:write",
+  cancelPriceRule: "pricing:write",
+  getProductBundle: "products:read",
+  setProductBundle: "products:write",
+  getRelatedProducts: "products:read",
+  addRelatedProduct: "products:write",
+  removeRelatedProduct: "products:write",
+  getProductTranslations: "products:read",
+  setProductTranslation: "products:write",
+  deleteProductTranslation: "products:write",
+  setProductImageTranslation: "products:write",
+  deleteProductImageTranslation: "products:write",
+  getCategories: "products:read",
+  createCategory: "catalog:write",
+  updateCategory: "catalog:write",
+  deleteCategory: "catalog:write",
+  getAttributes: "products:read",
+  createAttribute: "catalog:write",
+  updateAttribute: "catalog:write",
+  deleteAttribute: "catalog:write",
+  getUsers: "users:read",
+  createUser: "users:write",
+  updateUser: "users:write",
+  deleteUser: "users:delete",
+  exportUserData: "users:read",
+  getUserStats: "users:read",
+  getCustomerSegments: "users:read",
+  getDuplicateUsers: "users:read",
+  mergeUser: "users:delete",
+  getUserAddresses: "users:read",
+  createUserAddress: "users:write",
+  updateUserAddress: "users:write",
+  deleteUserAddress: "users:write",
+  getOrders: "orders:read",
+  createOrder: "orders:write",
+  updateOrder: "orders:write",
+  transitionOrder: "orders:status",
+  deleteOrder: "orders:delete",
+  addOrderItem: "orders:write",
+  removeOrderItem: "orders:write",
+  getTotalPrice: "orders:read",
+  testDbConnection: "system:admin",
+  uploadProductImage: "products:write",
+  deleteProductImage: "products:write",
+  getProductImages: "products:read",
+  createProductImageRecord: "products:write",
+  updateProductImageRecord: "products:write",
+  setPrimaryProductImage: "products:write",
+  deleteProductImageRecord: "products:write",
+  deleteProductImages: "products:write",
+  // The payment functions run outside the VPC and cannot read the role
+  // tables, so they are open to any authenticated caller (checkout included)
+  createPaymentIntent: [],
+  getPaymentIntent: [],
+  testStripePayment: [],
+  getRoles: "roles:manage",
+  getStaff: "roles:manage",
+  setStaffRoles: "roles:manage",
+  getCurrentPrincipal: [],
+};
+
+/**
+ * Wrap a handler so it only runs for authenticated callers it permits
+ * The principal, with its resolved roles and permissions, is passed to the
+ * handler as event.principal
+ * @param {string} name - The handler's export name
+ * @param {Function} handler - The Lambda handler
+ * @returns {Function} The authenticated handler
+ */
+const withAuthentication = (name, handler) => {
+  return async (event) => {
+    try {
+      event.principal = await authService.authenticate(
+        getHeader(event, "Authorization")
+      );
+    } catch (error) {
+      return handleError(error);
+    }
+
+    if (!HANDLER_PERMISSIONS[name]) {
+      return createResponse(403, {
+        error: "Forbidden",
+        message: "No permission is defined for this operation",
+      });
+    }
+
+    const required = [].concat(HANDLER_PERMISSIONS[name]);
+    if (required.length === 0) {
+      return handler(event);
+    }
+
+    try {
+      const access = await rbacService.resolveAccess(event.principal);
+      Object.assign(event.principal, access);
+    } catch (error) {
+      return handleError(error);
+    }
+
+    const permitted = required.some((permission) =>
+      rbacService.hasPermission(event.principal, permission)
+    );
+    if (!permitted) {
+      const permissions = required.join(" or ");
+      return createResponse(403, {
+        error: "Forbidden",
+        message: `This operation requires the ${permissions} permission`,
+      });
+    }
+
+    return handler(event);
+  };
+};
+
+// Every other handler requires authentication, including ones added later
+for (const name of Object.keys(exports)) {
+  if (!PUBLIC_HANDLERS.includes(name)) {
+    exports[name] = withAuthentication(name, exports[name]);
+  }
+}
@@ -0,0 +1,21 @@
+-- Low Stock Threshold Column
+-- A product is low on stock when its quantity (or the quantity of one of its
+-- variants) is at or below low_stock_threshold. A PRODUCT_LOW_STOCK event is
+-- published when a stock change crosses the threshold. NULL disables alerts.
+ALTER TABLE products
+ADD COLUMN low_stock_threshold INT DEFAULT NULL;
+-- Example: alert when product 1 drops to 5 units or fewer
+UPDATE products
+SET low_stock_threshold = 5
+WHERE id = 1;
+-- Example: products without variants that are low on stock
+SELECT id,
+    sku,
+    name,
+    quantity,
+    low_stock_threshold
+FROM products
+WHERE archived_at IS NULL
+    AND low_stock_threshold IS NOT NULL
+    AND quantity <= low_stock_threshold
+ORDER BY quantity ASC;
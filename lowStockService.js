@@ -0,0 +1,140 @@
+/**
+ * lowStockService.js
+ * This module contains functions for low-stock alerts and the low-stock report
+ * (see low-stock-schema.sql). A product's low_stock_threshold applies to its
+ * own stock and to the stock of each of its variants.
+ */
+
+const { executeQuery } = require("./dbConnector");
+const snsService = require("./snsService");
+
+/**
+ * Check whether a stock change crosses the product's reorder threshold
+ * Only a change from above the threshold to at or below it raises an alert,
+ * so stock that stays low does not alert again on every sale
+ * @param {Object} connection - The database connection in a transaction
+ * @param {Object} change - The stock change
+ * @param {number} change.productId - The product ID
+ * @param {number|null} change.variantId - The variant ID, or null for product-level stock
+ * @param {number} change.previousQuantity - The stock level before the change
+ * @param {number} change.quantity - The stock level after the change
+ * @returns {Promise<Object|null>} The alert to publish, or null
+ */
+const checkLowStock = async (connection, change) => {
+  if (change.quantity >= change.previousQuantity) {
+    return null;
+  }
+
+  const [rows] = await connection.execute(
+    `
+      SELECT p.name, p.low_stock_threshold, COALESCE(v.sku, p.sku) AS sku
+      FROM products p
+      LEFT JOIN product_variants v ON v.product_id = p.id AND v.id = ?
+      WHERE p.id = ?
+    `,
+    [change.variantId || null, change.productId]
+  );
+
+  if (rows.length === 0 || rows[0].low_stock_threshold === null) {
+    return null;
+  }
+
+  const threshold = rows[0].low_stock_threshold;
+  if (change.previousQuantity <= threshold || change.quantity > threshold) {
+    return null;
+  }
+
+  return {
+    productId: change.productId,
+    variantId: change.variantId || null,
+    sku: rows[0].sku,
+    name: rows[0].name,
+    quantity: change.quantity,
+    threshold,
+  };
+};
+
+/**
+ * Publish the low-stock alerts raised by committed stock movements
+ * Call after the transaction commits so rolled-back changes never alert
+ * @param {Array<Object|null>} movements - Results of changeStock/setStock (null entries are skipped)
+ * @returns {Promise<void>}
+ */
+const publishLowStockAlerts = async (movements) => {
+  for (const movement of movements) {
+    if (!movement || !movement.lowStockAlert) {
+      continue;
+    }
+
+    try {
+      await snsService.publishProductLowStock(movement.lowStockAlert);
+    } catch (snsError) {
+      // Log but don't fail - the stock change is already committed
+      console.error(
+        "SNS low-stock notification failed for product:",
+        movement.lowStockAlert.productId,
+        snsError.message
+      );
+    }
+  }
+};
+
+/**
+ * Get a page of stock rows at or below their product's reorder threshold
+ * Lists variants individually; product-level stock is only listed for
+ * products without variants. Archived products are excluded.
+ * @param {Object} options - Listing options
+ * @param {number} options.page - The page number (1-based)
+ * @param {number} options.limit - The number of rows per page
+ * @returns {Promise<Object>} The low-stock rows (lowest first) and pagination details
+ */
+const getLowStockItems = async (options = {}) => {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const offset = (page - 1) * limit;
+
+  const lowStockQuery = `
+    SELECT p.id AS product_id, NULL AS variant_id, p.sku, p.name,
+           p.quantity, p.low_stock_threshold
+    FROM products p
+    WHERE p.archived_at IS NULL
+      AND p.low_stock_threshold IS NOT NULL
+      AND p.quantity <= p.low_stock_threshold
+      AND NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id)
+    UNION ALL
+    SELECT p.id AS product_id, v.id AS variant_id, v.sku, p.name,
+           v.quantity, p.low_stock_threshold
+    FROM product_variants v
+    JOIN products p ON v.product_id = p.id
+    WHERE p.archived_at IS NULL
+      AND p.low_stock_threshold IS NOT NULL
+      AND v.quantity <= p.low_stock_threshold
+  `;
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) AS total FROM (${lowStockQuery}) AS low_stock`
+  );
+  const total = countResult[0].total;
+
+  const items = await executeQuery(`
+    SELECT * FROM (${lowStockQuery}) AS low_stock
+    ORDER BY quantity ASC, product_id ASC, variant_id ASC
+    LIMIT ${limit} OFFSET ${offset}
+  `);
+
+  return {
+    items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+module.exports = {
+  checkLowStock,
+  publishLowStockAlerts,
+  getLowStockItems,
+};
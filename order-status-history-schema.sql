@@ -0,0 +1,73 @@
+-- Order Status History Table Creation
+-- Orders follow a lifecycle (ORDER_STATUS_TRANSITIONS in orderStatusService.js):
+-- pending_payment -> paid -> processing -> shipped -> delivered, with
+-- cancelled reachable until an order ships and refunded once it has.
+-- POST /orders/{id}/transitions refuses any other move. Every status change,
+-- including the initial pending_payment, is recorded here.
+CREATE TABLE IF NOT EXISTS order_status_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    order_id INT NOT NULL,
+    -- NULL for the status an order was created with
+    from_status VARCHAR(50),
+    to_status VARCHAR(50) NOT NULL,
+    changed_by VARCHAR(255),
+    note VARCHAR(500),
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (order_id) REFERENCES orders(id) ON DELETE CASCADE,
+    INDEX idx_order_changed_at (order_id, changed_at)
+);
+-- Migration: map the former free-text statuses onto the lifecycle
+UPDATE orders
+SET order_status = CASE
+        WHEN order_status = 'In Progress' THEN 'processing'
+        ELSE LOWER(REPLACE(TRIM(order_status), ' ', '_'))
+    END
+WHERE order_status = 'In Progress'
+    OR LOWER(REPLACE(TRIM(order_status), ' ', '_')) IN (
+        'pending_payment',
+        'paid',
+        'processing',
+        'shipped',
+        'delivered',
+        'cancelled',
+        'refunded'
+    );
+ALTER TABLE orders
+MODIFY order_status VARCHAR(50) NOT NULL DEFAULT 'pending_payment';
+-- Migration: start the history of existing orders with their current status
+INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note, changed_at)
+SELECT o.id,
+    NULL,
+    o.order_status,
+    'migration',
+    'Status before the order lifecycle was introduced',
+    o.created_at
+FROM orders o
+WHERE NOT EXISTS (
+        SELECT 1
+        FROM order_status_history h
+        WHERE h.order_id = o.id
+    );
+-- Example: orders whose status is outside the lifecycle and needs fixing by hand
+SELECT id,
+    order_status
+FROM orders
+WHERE order_status NOT IN (
+        'pending_payment',
+        'paid',
+        'processing',
+        'shipped',
+        'delivered',
+        'cancelled',
+        'refunded'
+    );
+-- Example: the status history of an order
+SELECT from_status,
+    to_status,
+    changed_by,
+    note,
+    changed_at
+FROM order_status_history
+WHERE order_id = 42
+ORDER BY changed_at ASC,
+    id ASC;
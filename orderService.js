@@ -5,6 +5,125 @@
 
 const { executeQuery, pool } = require("./dbConnector");
 const snsService = require("./snsService");
+const stockMovementService = require("./stockMovementService");
+const priceService = require("./priceService");
+const lowStockService = require("./lowStockService");
+const productBundleService = require("./productBundleService");
+const userAddressService = require("./userAddressService");
+const orderStatusService = require("./orderStatusService");
+const {
+  createServiceError,
+  createVersionConflictError,
+} = require("./serviceError");
+
+const { CANCELLED_STATUS, INITIAL_ORDER_STATUS } = orderStatusService;
+
+/**
+ * Reserve stock for an order item, recording "sale" stock movements
+ * Variant items draw from the variant's stock, bundles from each component's
+ * stock, other items from the product's
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} orderId - The order the item belongs to
+ * @param {Object} item - The item (product_id, variant_id, quantity)
+ * @returns {Promise<Object>} The recorded stock movements and, for a bundle,
+ * the components to store on the item so the same stock can be returned later
+ */
+const reserveStock = async (connection, orderId, item) => {
+  // Archived products cannot be added to new orders
+  const [products] = await connection.execute(
+    "SELECT archived_at FROM products WHERE id = ?",
+    [item.product_id]
+  );
+  if (products.length > 0 && products[0].archived_at) {
+    throw createServiceError(
+      409,
+      "Product archived",
+      `Product ${item.product_id} is archived and cannot be ordered`
+    );
+  }
+
+  const components = await productBundleService.getBundleComponents(
+    connection,
+    item.product_id
+  );
+
+  if (components.length === 0) {
+    const movement = await stockMovementService.changeStock(connection, {
+      productId: item.product_id,
+      variantId: item.variant_id,
+      delta: -item.quantity,
+      reason: "sale",
+      orderId,
+    });
+    return { movements: [movement], bundleComponents: null };
+  }
+
+  const movements = [];
+  for (const component of components) {
+    movements.push(
+      await stockMovementService.changeStock(connection, {
+        productId: component.product_id,
+        delta: -component.quantity * item.quantity,
+        reason: "sale",
+        orderId,
+        note: `Bundle ${item.product_id}`,
+      })
+    );
+  }
+  return { movements, bundleComponents: components };
+};
+
+/**
+ * Return an order item's reserved stock, recording "return" stock movements
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} orderId - The order the item belongs to
+ * @param {Object} item - The item (product_id, variant_id, quantity, bundle_components)
+ * @param {string} note - Why the stock is returned
+ */
+const releaseStock = async (connection, orderId, item, note) => {
+  // Bundles return the components they drew when ordered, even if the
+  // bundle's composition has changed since
+  const bundleComponents =
+    typeof item.bundle_components === "string"
+      ? JSON.parse(item.bundle_components)
+      : item.bundle_components;
+
+  if (bundleComponents) {
+    for (const component of bundleComponents) {
+      // Components that have since been purged have nothing to return to
+      const [products] = await connection.execute(
+        "SELECT id FROM products WHERE id = ?",
+        [component.product_id]
+      );
+      if (products.length === 0) {
+        continue;
+      }
+
+      await stockMovementService.changeStock(connection, {
+        productId: component.product_id,
+        delta: component.quantity * item.quantity,
+        reason: "return",
+        orderId,
+        note: `${note} (bundle ${item.product_id})`,
+      });
+    }
+    return;
+  }
+
+  // Items whose product has since been deleted have nothing to return to
+  if (!item.product_id) {
+    return;
+  }
+
+  await stockMovementService.changeStock(connection, {
+    productId: item.product_id,
+    variantId: item.variant_id,
+    delta: item.quantity,
+    reason: "return",
+    orderId,
+    note,
+  });
+};
 
 /**
  * Get all orders with basic information
@@ -21,7 +140,8 @@ const getAllOrders = async () => {
 };
 
 /**
- * Get detailed information about a specific order including all its items
+ * Get detailed information about a specific order including all its items,
+ * its status history and the statuses it can move to
  * @param {number} id - The order ID
  * @returns {Promise<Object>} The order data with items
  */
@@ -43,46 +163,86 @@ const getOrderById = async (id) => {
 
   // Then, get the order items
   const itemsQuery = `
-    SELECT oi.*, p.description AS product_description
+    SELECT oi.*, p.description AS product_description, v.sku AS variant_sku,
+           pr.label AS price_rule_label
     FROM order_items oi
     LEFT JOIN products p ON oi.product_id = p.id
+    LEFT JOIN product_variants v ON oi.variant_id = v.id
+    LEFT JOIN product_price_rules pr ON oi.price_rule_id = pr.id
     WHERE oi.order_id = ?
   `;
   const items = await executeQuery(itemsQuery, [id]);
 
   // Combine the results
   order.items = items;
+  order.status_history = await orderStatusService.getStatusHistory(id);
+  order.allowed_transitions = orderStatusService.getAllowedTransitions(
+    order.order_status
+  );
   return order;
 };
 
 /**
  * Create a new order with items
+ * The shipping and billing addresses (shipping_address_id and
+ * billing_address_id, or else the user's defaults) are copied onto the order
+ * New orders start as pending_payment; order_status cannot be given
  * @param {Object} orderData - The order data including items
+ * @param {string} createdBy - Who created the order, recorded in its status history
  * @returns {Promise<Object>} Result with the created order ID
  */
-const createOrder = async (orderData) => {
+const createOrder = async (orderData, createdBy) => {
+  if (orderData.order_status !== undefined) {
+    throw createServiceError(
+      400,
+      "Invalid status",
+      `New orders start as ${INITIAL_ORDER_STATUS}; change the status through the order's transitions`
+    );
+  }
+
   // Start a transaction to ensure all operations succeed or fail together
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
 
+    const addresses = await userAddressService.getOrderAddressSnapshots(
+      connection,
+      orderData.user_id,
+      orderData
+    );
+
+    // Orders without a free-text location get the shipping city and country
+    let userLocation = orderData.user_location || null;
+    if (!userLocation && addresses.shipping) {
+      userLocation = `${addresses.shipping.city}, ${addresses.shipping.country}`;
+    }
+
     // 1. Create the order
     const orderQuery = `
-      INSERT INTO orders (user_id, user_name, user_location, order_status, total_price, stripe_id)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO orders (user_id, user_name, user_location, order_status, total_price, stripe_id, shipping_address, billing_address)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
     `;
     const orderParams = [
       orderData.user_id,
       orderData.user_name,
-      orderData.user_location,
-      orderData.order_status || "In Progress", // Default status
+      userLocation,
+      INITIAL_ORDER_STATUS,
       orderData.total_price,
       orderData.stripe_id || null, 
+      addresses.shipping && JSON.stringify(addresses.shipping),
+      addresses.billing && JSON.stringify(addresses.billing),
     ];
 
     const orderResult = await connection.execute(orderQuery, orderParams);
     const orderId = orderResult[0].insertId;
 
+    await orderStatusService.recordStatusChange(connection, {
+      orderId,
+      fromStatus: null,
+      toStatus: INITIAL_ORDER_STATUS,
+      changedBy: createdBy,
+    });
+
     // Commit the transaction
     await connection.commit();
 
@@ -93,10 +253,10 @@ const createOrder = async (orderData) => {
         orderId: orderId,
         userId: orderData.user_id,
         userName: orderData.user_name,
-        userLocation: orderData.user_location,
+        userLocation,
         totalPrice: orderData.total_price,
         stripeId: orderData.stripe_id || null,
-        orderStatus: orderData.order_status || "In Progress"
+        orderStatus: INITIAL_ORDER_STATUS
       });
     } catch (snsError) {
       // Log but don't fail - order is already created and committed
@@ -120,11 +280,22 @@ const createOrder = async (orderData) => {
 
 /**
  * Update an existing order
+ * order_status cannot be changed here: use transitionOrderStatus
  * @param {number} id - The order ID to update
  * @param {Object} orderData - The updated order data
- * @returns {Promise<Object>} Result of the update operation
+ * @param {Object} options - Options
+ * @param {number} options.expectedVersion - Version the client read; a 412 error is thrown if it is stale
+ * @returns {Promise<Object>} Result of the update operation with the new version
  */
-const updateOrder = async (id, orderData) => {
+const updateOrder = async (id, orderData, options = {}) => {
+  if (orderData.order_status !== undefined) {
+    throw createServiceError(
+      400,
+      "Invalid status",
+      "order_status cannot be updated directly; use the order's transitions"
+    );
+  }
+
   // Create dynamic query based on provided fields
   const updates = [];
   const params = [];
@@ -144,11 +315,6 @@ const updateOrder = async (id, orderData) => {
     params.push(orderData.user_location);
   }
 
-  if (orderData.order_status !== undefined) {
-    updates.push("order_status = ?");
-    params.push(orderData.order_status);
-  }
-
   if (orderData.total_price !== undefined) {
     updates.push("total_price = ?");
     params.push(orderData.total_price);
@@ -161,18 +327,115 @@ const updateOrder = async (id, orderData) => {
     return { message: "No updates provided" };
   }
 
-  const query = `
-    UPDATE orders 
-    SET ${updates.join(", ")} 
-    WHERE id = ?
-  `;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute(
+      "SELECT version FROM orders WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (orders.length === 0) {
+      throw createServiceError(404, "Order not found", "Order not found");
+    }
+    if (
+      options.expectedVersion !== undefined &&
+      orders[0].version !== options.expectedVersion
+    ) {
+      throw createVersionConflictError("Order", await getOrderById(id));
+    }
+    updates.push("version = version + 1");
+
+    const query = `
+      UPDATE orders 
+      SET ${updates.join(", ")} 
+      WHERE id = ?
+    `;
+    await connection.execute(query, params);
 
-  await executeQuery(query, params);
-  return { message: "Order updated successfully" };
+    await connection.commit();
+    return {
+      message: "Order updated successfully",
+      version: orders[0].version + 1,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Move an order to another status of its lifecycle, recording the change in
+ * its history
+ * Throws a 409 service error if the lifecycle does not allow the move from
+ * the order's current status. Cancelling returns the items' stock.
+ * @param {number} id - The order ID
+ * @param {string} toStatus - The new status (one of ORDER_STATUSES)
+ * @param {Object} options - Options
+ * @param {string} options.changedBy - Who changed the status
+ * @param {string} options.note - Why it was changed (optional)
+ * @returns {Promise<Object>} Result of the operation with the previous and new status and the new version
+ */
+const transitionOrderStatus = async (id, toStatus, options = {}) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [orders] = await connection.execute(
+      "SELECT order_status, version FROM orders WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (orders.length === 0) {
+      throw createServiceError(404, "Order not found", "Order not found");
+    }
+
+    const fromStatus = orders[0].order_status;
+    orderStatusService.assertTransition(fromStatus, toStatus);
+
+    await connection.execute(
+      "UPDATE orders SET order_status = ?, version = version + 1 WHERE id = ?",
+      [toStatus, id]
+    );
+
+    await orderStatusService.recordStatusChange(connection, {
+      orderId: id,
+      fromStatus,
+      toStatus,
+      changedBy: options.changedBy,
+      note: options.note,
+    });
+
+    // Release the reserved stock when the order is cancelled
+    if (toStatus === CANCELLED_STATUS) {
+      const [items] = await connection.execute(
+        "SELECT product_id, variant_id, quantity, bundle_components FROM order_items WHERE order_id = ?",
+        [id]
+      );
+      for (const item of items) {
+        await releaseStock(connection, id, item, "Order cancelled");
+      }
+    }
+
+    await connection.commit();
+    return {
+      message: `Order moved from ${fromStatus} to ${toStatus}`,
+      from: fromStatus,
+      to: toStatus,
+      version: orders[0].version + 1,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
 };
 
 /**
  * Delete an order and its items
+ * Items still holding reserved stock return it
  * @param {number} id - The order ID to delete
  * @returns {Promise<Object>} Result of the delete operation
  */
@@ -181,6 +444,25 @@ const deleteOrder = async (id) => {
   try {
     await connection.beginTransaction();
 
+    const [orders] = await connection.execute(
+      "SELECT order_status FROM orders WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (
+      orders.length > 0 &&
+      !orderStatusService.UNRESERVED_ORDER_STATUSES.includes(
+        orders[0].order_status
+      )
+    ) {
+      const [items] = await connection.execute(
+        "SELECT product_id, variant_id, quantity, bundle_components FROM order_items WHERE order_id = ?",
+        [id]
+      );
+      for (const item of items) {
+        await releaseStock(connection, id, item, "Order deleted");
+      }
+    }
+
     // First delete order items (due to foreign key constraint)
     await connection.execute("DELETE FROM order_items WHERE order_id = ?", [
       id,
@@ -206,9 +488,14 @@ const deleteOrder = async (id) => {
 };
 
 /**
- * Add an item to an existing order
+ * Add an item to an existing order, reserving its stock
+ * Throws a 409 service error if the order is no longer open, and one with the
+ * available quantity if stock is insufficient
+ * The item is charged the price in force: the variant's own price, else the
+ * product's active price rule, else the product's price. A unit_price sent
+ * with the item must match it, otherwise a 409 service error is thrown.
  * @param {number} orderId - The order ID
- * @param {Object} item - The item to add
+ * @param {Object} item - The item to add (variant_id and unit_price are optional)
  * @returns {Promise<Object>} Result of the operation
  */
 const addOrderItem = async (orderId, item) => {
@@ -216,26 +503,89 @@ const addOrderItem = async (orderId, item) => {
   try {
     await connection.beginTransaction();
 
-    // 1. Insert the order item
+    // 1. Lock the order so its status cannot change while the item is added
+    const [orders] = await connection.execute(
+      "SELECT order_status FROM orders WHERE id = ? FOR UPDATE",
+      [orderId]
+    );
+    if (orders.length === 0) {
+      throw createServiceError(404, "Order not found", "Order not found");
+    }
+    orderStatusService.assertOrderOpen(orders[0].order_status);
+
+    // 2. Reserve the stock (fails with 409 if not enough is available)
+    const { movements, bundleComponents } = await reserveStock(
+      connection,
+      orderId,
+      item
+    );
+
+    // 3. Charge the price in force and record its price rule, unless the
+    // variant has its own price
+    let priceRuleId = null;
+    let unitPrice;
+    const [variants] = item.variant_id
+      ? await connection.execute(
+          "SELECT price FROM product_variants WHERE id = ?",
+          [item.variant_id]
+        )
+      : [[]];
+    if (variants.length > 0 && variants[0].price !== null) {
+      unitPrice = Number(variants[0].price);
+    } else {
+      const rules = await priceService.getActivePriceRules(
+        [item.product_id],
+        connection
+      );
+      const rule = rules[item.product_id];
+      if (rule) {
+        priceRuleId = rule.id;
+        unitPrice = Number(rule.price);
+      } else {
+        const [products] = await connection.execute(
+          "SELECT price FROM products WHERE id = ?",
+          [item.product_id]
+        );
+        unitPrice = Number(products[0].price);
+      }
+    }
+
+    // Prices are compared in cents, as DECIMAL values come back as strings
+    if (
+      item.unit_price !== undefined &&
+      Math.round(Number(item.unit_price) * 100) !== Math.round(unitPrice * 100)
+    ) {
+      throw createServiceError(
+        409,
+        "Price mismatch",
+        `The unit price of this item is ${unitPrice}`,
+        { unit_price: unitPrice }
+      );
+    }
+
+    // 4. Insert the order item
     const itemQuery = `
       INSERT INTO order_items 
-        (order_id, product_id, product_name, quantity, unit_price, total_price) 
+        (order_id, product_id, variant_id, product_name, quantity, unit_price, total_price, price_rule_id, bundle_components) 
       VALUES 
-        (?, ?, ?, ?, ?, ?)
+        (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
 
-    const itemTotal = item.quantity * item.unit_price;
+    const itemTotal = item.quantity * unitPrice;
 
     await connection.execute(itemQuery, [
       orderId,
       item.product_id,
+      item.variant_id || null,
       item.product_name,
       item.quantity,
-      item.unit_price,
+      unitPrice,
       itemTotal,
+      priceRuleId,
+      bundleComponents ? JSON.stringify(bundleComponents) : null,
     ]);
 
-    // 2. Update the order's total price
+    // 5. Update the order's total price
     // await connection.execute(
     //   "UPDATE orders SET total_price = total_price + ? WHERE id = ?",
     //   [itemTotal, orderId]
@@ -243,8 +593,11 @@ const addOrderItem = async (orderId, item) => {
 
     await connection.commit();
 
+    await lowStockService.publishLowStockAlerts(movements);
+
     return {
       message: "Item added to order successfully",
+      unit_price: unitPrice,
       item_total: itemTotal,
     };
   } catch (error) {
@@ -256,7 +609,8 @@ const addOrderItem = async (orderId, item) => {
 };
 
 /**
- * Remove an item from an order
+ * Remove an item from an order and return its stock
+ * Throws a 409 service error if the order is no longer open
  * @param {number} itemId - The order item ID to remove
  * @returns {Promise<Object>} Result of the operation
  */
@@ -267,22 +621,43 @@ const removeOrderItem = async (itemId) => {
 
     // 1. Get the item information
     const [items] = await connection.execute(
-      "SELECT order_id, total_price FROM order_items WHERE id = ?",
+      `
+        SELECT oi.order_id, oi.product_id, oi.variant_id, oi.quantity,
+               oi.bundle_components, oi.total_price, o.order_status
+        FROM order_items oi
+        JOIN orders o ON oi.order_id = o.id
+        WHERE oi.id = ?
+        FOR UPDATE
+      `,
       [itemId]
     );
 
     if (items.length === 0) {
-      throw new Error("Item not found");
+      throw createServiceError(
+        404,
+        "Item not found",
+        `No item found with ID ${itemId}`
+      );
     }
 
-    const { order_id, total_price } = items[0];
+    const { order_id, total_price, order_status } = items[0];
+
+    // 2. Release the reserved stock. Only open orders still hold it: cancelled
+    // orders returned it and shipped ones took it with them
+    orderStatusService.assertOrderOpen(order_status);
+    await releaseStock(
+      connection,
+      order_id,
+      items[0],
+      "Item removed from order"
+    );
 
-    // 2. Delete the item
+    // 3. Delete the item
     await connection.execute("DELETE FROM order_items WHERE id = ?", [itemId]);
 
-    // 3. Update the order total
+    // 4. Update the order total
     await connection.execute(
-      "UPDATE orders SET total_price = total_price - ? WHERE id = ?",
+      "UPDATE orders SET total_price = total_price - ?, version = version + 1 WHERE id = ?",
       [total_price, order_id]
     );
 
@@ -327,6 +702,7 @@ module.exports = {
   getOrderById,
   createOrder,
   updateOrder,
+  transitionOrderStatus,
   deleteOrder,
   addOrderItem,
   removeOrderItem,
@@ -0,0 +1,155 @@
+/**
+ * orderStatusService.js
+ * This module contains the order status lifecycle: the statuses an order can
+ * be in, the transitions allowed between them, and the history of status
+ * changes (see order-status-history-schema.sql)
+ */
+
+const { executeQuery } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+// Status of new orders
+const INITIAL_ORDER_STATUS = "pending_payment";
+
+// Status that releases an order's reserved stock
+const CANCELLED_STATUS = "cancelled";
+
+// Allowed transitions from each status. Orders can be cancelled until they
+// ship; shipped and delivered orders are refunded instead, their goods coming
+// back through "return" stock movements. Cancelled and refunded are final.
+const ORDER_STATUS_TRANSITIONS = {
+  pending_payment: ["paid", "cancelled"],
+  paid: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered", "refunded"],
+  delivered: ["refunded"],
+  cancelled: [],
+  refunded: [],
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+// Statuses of orders that do not count as sales
+const VOID_ORDER_STATUSES = ["cancelled", "refunded"];
+
+// Statuses in which an order's items no longer hold reserved stock: it was
+// returned when the order was cancelled, or left with the shipment
+const UNRESERVED_ORDER_STATUSES = [
+  ...VOID_ORDER_STATUSES,
+  "shipped",
+  "delivered",
+];
+
+// Statuses in which an order's items can still be added or removed: the order
+// holds its reserved stock and has not shipped
+const OPEN_ORDER_STATUSES = ["pending_payment", "paid", "processing"];
+
+/**
+ * Get the statuses an order can move to from its current status
+ * @param {string} status - The current status
+ * @returns {Array<string>} The allowed next statuses (none for unknown statuses)
+ */
+const getAllowedTransitions = (status) => {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+};
+
+/**
+ * Check that an order can move from one status to another
+ * Throws a 400 service error for an unknown status and a 409 one for a move
+ * the lifecycle does not allow
+ * @param {string} fromStatus - The current status
+ * @param {string} toStatus - The requested status
+ */
+const assertTransition = (fromStatus, toStatus) => {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw createServiceError(
+      400,
+      "Invalid status",
+      `status must be one of: ${ORDER_STATUSES.join(", ")}`
+    );
+  }
+
+  const allowed = getAllowedTransitions(fromStatus);
+  if (!allowed.includes(toStatus)) {
+    throw createServiceError(
+      409,
+      "Invalid transition",
+      `An order cannot move from ${fromStatus} to ${toStatus}`,
+      { from: fromStatus, to: toStatus, allowed }
+    );
+  }
+};
+
+/**
+ * Check that an order's items can still change
+ * Throws a 409 service error if the order is not in an open status
+ * @param {string} status - The order's current status
+ */
+const assertOrderOpen = (status) => {
+  if (!OPEN_ORDER_STATUSES.includes(status)) {
+    throw createServiceError(
+      409,
+      "Order not open",
+      `Items cannot be changed on a ${status} order`,
+      { order_status: status, open_statuses: OPEN_ORDER_STATUSES }
+    );
+  }
+};
+
+/**
+ * Record a status change in the order's history
+ * @param {Object} connection - The database connection in a transaction
+ * @param {Object} change - The change
+ * @param {number} change.orderId - The order ID
+ * @param {string|null} change.fromStatus - The previous status (null when the order is created)
+ * @param {string} change.toStatus - The new status
+ * @param {string} change.changedBy - Who changed it
+ * @param {string} change.note - Why it was changed (optional)
+ */
+const recordStatusChange = async (connection, change) => {
+  await connection.execute(
+    `
+      INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note)
+      VALUES (?, ?, ?, ?, ?)
+    `,
+    [
+      change.orderId,
+      change.fromStatus,
+      change.toStatus,
+      change.changedBy || null,
+      change.note || null,
+    ]
+  );
+};
+
+/**
+ * Get the status history of an order, oldest change first
+ * @param {number} orderId - The order ID
+ * @returns {Promise<Array>} The status changes
+ */
+const getStatusHistory = async (orderId) => {
+  return executeQuery(
+    `
+      SELECT id, from_status, to_status, changed_by, note, changed_at
+      FROM order_status_history
+      WHERE order_id = ?
+      ORDER BY changed_at ASC, id ASC
+    `,
+    [orderId]
+  );
+};
+
+module.exports = {
+  INITIAL_ORDER_STATUS,
+  CANCELLED_STATUS,
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  VOID_ORDER_STATUSES,
+  UNRESERVED_ORDER_STATUSES,
+  OPEN_ORDER_STATUSES,
+  getAllowedTransitions,
+  assertTransition,
+  assertOrderOpen,
+  recordStatusChange,
+  getStatusHistory,
+};
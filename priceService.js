@@ -0,0 +1,236 @@
+/**
+ * priceService.js
+ * This module contains functions for scheduled/sale price rules and the
+ * regular price history of products (see product-pricing-schema.sql)
+ */
+
+const { executeQuery } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+/**
+ * Format a date as a UTC DATETIME string for MySQL
+ * @param {Date|string} date - The date or an ISO 8601 string
+ * @returns {string} The date as "YYYY-MM-DD HH:MM:SS" in UTC
+ */
+const toSqlDateTime = (date) => {
+  return new Date(date).toISOString().slice(0, 19).replace("T", " ");
+};
+
+/**
+ * Get the price rule active right now for each of several products
+ * When several rules are active for a product, the one that started last wins
+ * @param {Array<number>} productIds - The product IDs
+ * @param {Object} connection - Optional database connection in a transaction
+ * @returns {Promise<Object>} Active rules keyed by product ID
+ */
+const getActivePriceRules = async (productIds, connection = null) => {
+  const rulesByProduct = {};
+  if (productIds.length === 0) {
+    return rulesByProduct;
+  }
+
+  const placeholders = productIds.map(() => "?").join(", ");
+  const query = `
+    SELECT id, product_id, price, label, starts_at, ends_at
+    FROM product_price_rules
+    WHERE product_id IN (${placeholders})
+      AND starts_at <= UTC_TIMESTAMP()
+      AND (ends_at IS NULL OR ends_at > UTC_TIMESTAMP())
+    ORDER BY starts_at DESC, id DESC
+  `;
+  const rules = connection
+    ? (await connection.execute(query, productIds))[0]
+    : await executeQuery(query, productIds);
+
+  for (const rule of rules) {
+    // Rows are sorted so the first rule seen for a product is the winning one
+    if (!rulesByProduct[rule.product_id]) {
+      rulesByProduct[rule.product_id] = rule;
+    }
+  }
+
+  return rulesByProduct;
+};
+
+/**
+ * Add regular and effective prices to products
+ * price stays the regular price; effective_price is the price charged right now
+ * Call after attaching variants so theirs are updated too
+ * @param {Array<Object>} products - The products
+ * @returns {Promise<Array<Object>>} The same products with pricing fields added
+ */
+const addEffectivePrices = async (products) => {
+  const rulesByProduct = await getActivePriceRules(
+    products.map((product) => product.id)
+  );
+
+  for (const product of products) {
+    const rule = rulesByProduct[product.id] || null;
+    product.regular_price = product.price;
+    product.effective_price = rule ? rule.price : product.price;
+    product.active_price_rule = rule;
+
+    // Variants without their own price follow the product's effective price
+    for (const variant of product.variants || []) {
+      if (variant.price === null) {
+        variant.effective_price = product.effective_price;
+      }
+    }
+  }
+
+  return products;
+};
+
+/**
+ * Get all price rules and the regular price history of a product
+ * @param {number} productId - The product ID
+ * @returns {Promise<Object>} The price rules (newest first) and history
+ */
+const getProductPricing = async (productId) => {
+  const rules = await executeQuery(
+    `
+      SELECT id, product_id, price, label, starts_at, ends_at, created_by, created_at,
+             (starts_at <= UTC_TIMESTAMP() AND (ends_at IS NULL OR ends_at > UTC_TIMESTAMP())) AS is_active
+      FROM product_price_rules
+      WHERE product_id = ?
+      ORDER BY starts_at DESC, id DESC
+    `,
+    [productId]
+  );
+
+  const history = await executeQuery(
+    `
+      SELECT id, old_price, new_price, changed_by, changed_at
+      FROM product_price_history
+      WHERE product_id = ?
+      ORDER BY id DESC
+    `,
+    [productId]
+  );
+
+  return { rules, history };
+};
+
+/**
+ * Get a price rule by its ID
+ * @param {number} id - The rule ID
+ * @returns {Promise<Object>} The rule data
+ */
+const getPriceRuleById = async (id) => {
+  const query = `
+    SELECT id, product_id, price, label, starts_at, ends_at, created_by, created_at
+    FROM product_price_rules
+    WHERE id = ?
+  `;
+  const result = await executeQuery(query, [id]);
+  return result[0]; // Return the first (and should be only) result
+};
+
+/**
+ * Schedule a price for a product
+ * @param {number} productId - The product ID
+ * @param {Object} rule - The rule data
+ * @param {number} rule.price - The price while the rule is active
+ * @param {string} rule.starts_at - ISO 8601 start (defaults to now)
+ * @param {string} rule.ends_at - Optional ISO 8601 end
+ * @param {string} rule.label - Optional label (e.g. "Summer sale")
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who scheduled the price
+ * @returns {Promise<Object>} Result of the insert operation
+ */
+const createPriceRule = async (productId, rule, options = {}) => {
+  const startsAt = rule.starts_at ? new Date(rule.starts_at) : new Date();
+  const endsAt = rule.ends_at ? new Date(rule.ends_at) : null;
+
+  if (isNaN(startsAt) || (endsAt && isNaN(endsAt))) {
+    throw createServiceError(
+      400,
+      "Invalid dates",
+      "starts_at and ends_at must be ISO 8601 dates"
+    );
+  }
+
+  if (endsAt && endsAt <= startsAt) {
+    throw createServiceError(
+      400,
+      "Invalid dates",
+      "ends_at must be after starts_at"
+    );
+  }
+
+  const query = `
+    INSERT INTO product_price_rules (product_id, price, label, starts_at, ends_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `;
+  const params = [
+    productId,
+    rule.price,
+    rule.label || null,
+    toSqlDateTime(startsAt),
+    endsAt ? toSqlDateTime(endsAt) : null,
+    options.createdBy || null,
+  ];
+
+  return executeQuery(query, params);
+};
+
+/**
+ * Cancel a price rule
+ * Rules that have not started yet are deleted; rules that have started are
+ * ended now so that orders placed under them keep a valid reference
+ * @param {number} id - The rule ID
+ * @returns {Promise<Object>} What happened to the rule
+ */
+const cancelPriceRule = async (id) => {
+  const deleted = await executeQuery(
+    "DELETE FROM product_price_rules WHERE id = ? AND starts_at > UTC_TIMESTAMP()",
+    [id]
+  );
+  if (deleted.affectedRows > 0) {
+    return { message: "Scheduled price deleted successfully" };
+  }
+
+  await executeQuery(
+    `
+      UPDATE product_price_rules
+      SET ends_at = UTC_TIMESTAMP()
+      WHERE id = ? AND (ends_at IS NULL OR ends_at > UTC_TIMESTAMP())
+    `,
+    [id]
+  );
+  return { message: "Price rule ended successfully" };
+};
+
+/**
+ * Record a change of a product's regular price in its history
+ * @param {Object} connection - The database connection in a transaction
+ * @param {Object} change - The change
+ * @param {number} change.productId - The product ID
+ * @param {number} change.oldPrice - The previous price (null for a new product)
+ * @param {number} change.newPrice - The new price
+ * @param {string} change.changedBy - Who changed the price
+ */
+const recordPriceChange = async (connection, change) => {
+  await connection.execute(
+    `
+      INSERT INTO product_price_history (product_id, old_price, new_price, changed_by)
+      VALUES (?, ?, ?, ?)
+    `,
+    [
+      change.productId,
+      change.oldPrice === undefined ? null : change.oldPrice,
+      change.newPrice,
+      change.changedBy || null,
+    ]
+  );
+};
+
+module.exports = {
+  getActivePriceRules,
+  addEffectivePrices,
+  getProductPricing,
+  getPriceRuleById,
+  createPriceRule,
+  cancelPriceRule,
+  recordPriceChange,
+};
@@ -0,0 +1,14 @@
+-- Product Archiving Column
+-- Archived products keep their row (so historical orders still reference them)
+-- but are hidden from listings, search and export and cannot be added to orders.
+-- NULL means the product is active.
+ALTER TABLE products
+ADD COLUMN archived_at TIMESTAMP NULL DEFAULT NULL,
+    ADD INDEX idx_archived_at (archived_at);
+-- Example: archive and restore product 1
+UPDATE products
+SET archived_at = CURRENT_TIMESTAMP
+WHERE id = 1;
+UPDATE products
+SET archived_at = NULL
+WHERE id = 1;
@@ -0,0 +1,39 @@
+-- Product Attributes Tables Creation
+-- Typed attribute definitions (e.g. material, weight in kg, size, waterproof)
+-- and the values of each product. allowed_values lists the values of an enum.
+CREATE TABLE IF NOT EXISTS attribute_definitions (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    code VARCHAR(64) NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    type ENUM('text', 'number', 'enum', 'boolean') NOT NULL,
+    unit VARCHAR(32) DEFAULT NULL,
+    allowed_values JSON DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_code (code)
+);
+-- One row per product and attribute; the column used depends on the type
+-- (text and enum: value_text, number: value_number, boolean: value_boolean)
+CREATE TABLE IF NOT EXISTS product_attribute_values (
+    product_id INT NOT NULL,
+    attribute_id INT NOT NULL,
+    value_text VARCHAR(255) DEFAULT NULL,
+    value_number DECIMAL(15, 4) DEFAULT NULL,
+    value_boolean BOOLEAN DEFAULT NULL,
+    PRIMARY KEY (product_id, attribute_id),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (attribute_id) REFERENCES attribute_definitions(id) ON DELETE CASCADE,
+    INDEX idx_attribute_text (attribute_id, value_text),
+    INDEX idx_attribute_number (attribute_id, value_number)
+);
+-- Example: define a weight attribute and set it on product 1
+INSERT INTO attribute_definitions (code, name, type, unit)
+VALUES ('weight', 'Weight', 'number', 'kg');
+INSERT INTO product_attribute_values (product_id, attribute_id, value_number)
+VALUES (1, LAST_INSERT_ID(), 1.25);
+-- Example: products weighing at most 2 kg
+SELECT p.*
+FROM products p
+    JOIN product_attribute_values pav ON pav.product_id = p.id
+    JOIN attribute_definitions d ON pav.attribute_id = d.id
+WHERE d.code = 'weight'
+    AND pav.value_number <= 2;
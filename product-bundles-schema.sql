@@ -0,0 +1,42 @@
+-- Product Bundles and Related Products Tables Creation
+-- A bundle is a product whose components are other products. It is sold at
+-- its own price and has no stock of its own: ordering it draws each
+-- component's stock (quantity per bundle x quantity ordered).
+CREATE TABLE IF NOT EXISTS product_bundle_items (
+    bundle_id INT NOT NULL,
+    component_id INT NOT NULL,
+    quantity INT NOT NULL DEFAULT 1,
+    PRIMARY KEY (bundle_id, component_id),
+    FOREIGN KEY (bundle_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (component_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_component_id (component_id)
+);
+-- Components drawn by a bundle order item, so cancelling or removing it
+-- returns the same stock even if the bundle has changed since (NULL otherwise)
+ALTER TABLE order_items
+ADD COLUMN bundle_components JSON DEFAULT NULL;
+-- Curated one-way "related products" links
+CREATE TABLE IF NOT EXISTS product_relations (
+    product_id INT NOT NULL,
+    related_product_id INT NOT NULL,
+    position INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (product_id, related_product_id),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (related_product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+-- Example: how many of bundle 1 the components' stock allows
+SELECT MIN(FLOOR(p.quantity / bi.quantity)) AS available_quantity
+FROM product_bundle_items bi
+    JOIN products p ON bi.component_id = p.id
+WHERE bi.bundle_id = 1;
+-- Example: products most often ordered together with product 1
+SELECT other.product_id,
+    COUNT(DISTINCT other.order_id) AS order_count
+FROM order_items item
+    JOIN order_items other ON other.order_id = item.order_id
+    AND other.product_id <> item.product_id
+WHERE item.product_id = 1
+GROUP BY other.product_id
+ORDER BY order_count DESC
+LIMIT 10;
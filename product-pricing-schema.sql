@@ -0,0 +1,51 @@
+-- Product Pricing Tables Creation
+-- Scheduled prices: a rule replaces the product's regular price between
+-- starts_at and ends_at (UTC). A rule without ends_at is a permanent scheduled
+-- price change. When several rules are active, the one that started last wins.
+CREATE TABLE IF NOT EXISTS product_price_rules (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    label VARCHAR(100) DEFAULT NULL,
+    starts_at DATETIME NOT NULL,
+    ends_at DATETIME DEFAULT NULL,
+    created_by VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_active_rules (product_id, starts_at, ends_at)
+);
+-- Every change of a product's regular price
+CREATE TABLE IF NOT EXISTS product_price_history (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    old_price DECIMAL(10, 2) DEFAULT NULL,
+    new_price DECIMAL(10, 2) NOT NULL,
+    changed_by VARCHAR(255) DEFAULT NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    INDEX idx_product_changes (product_id, changed_at)
+);
+-- Record which price rule applied to an order item (NULL = regular price)
+ALTER TABLE order_items
+ADD COLUMN price_rule_id INT DEFAULT NULL,
+    ADD FOREIGN KEY (price_rule_id) REFERENCES product_price_rules(id) ON DELETE
+SET NULL;
+-- Example: effective price of product 1 right now
+SELECT p.price AS regular_price,
+    COALESCE(
+        (
+            SELECT r.price
+            FROM product_price_rules r
+            WHERE r.product_id = p.id
+                AND r.starts_at <= UTC_TIMESTAMP()
+                AND (
+                    r.ends_at IS NULL
+                    OR r.ends_at > UTC_TIMESTAMP()
+                )
+            ORDER BY r.starts_at DESC,
+                r.id DESC
+            LIMIT 1
+        ), p.price
+    ) AS effective_price
+FROM products p
+WHERE p.id = 1;
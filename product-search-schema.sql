@@ -0,0 +1,16 @@
+-- Product Search Indexes
+-- FULLTEXT indexes used by GET /products/search (MySQL 5.7.6+ / InnoDB)
+-- Word index over name and description, used for relevance ranking
+ALTER TABLE products
+ADD FULLTEXT INDEX ft_products_name_description (name, description);
+-- Bigram index over name, used to find candidates for typo-tolerant matching
+-- of short queries (e.g. "shrt" still shares the "sh" and "rt" bigrams with "shirt")
+ALTER TABLE products
+ADD FULLTEXT INDEX ft_products_name_ngram (name) WITH PARSER ngram;
+-- Example: ranked search for "linen shirt"
+SELECT p.*,
+    MATCH(p.name, p.description) AGAINST('linen shirt' IN NATURAL LANGUAGE MODE) AS relevance
+FROM products p
+WHERE MATCH(p.name, p.description) AGAINST('linen* shirt*' IN BOOLEAN MODE)
+ORDER BY relevance DESC,
+    p.name ASC;
@@ -0,0 +1,7 @@
+-- Product SKU Column
+-- Optional unique stock keeping unit, used to match rows of a CSV import
+-- to existing products (products without a SKU are matched by name)
+ALTER TABLE products
+ADD COLUMN sku VARCHAR(64) DEFAULT NULL
+AFTER id,
+    ADD UNIQUE KEY unique_product_sku (sku);
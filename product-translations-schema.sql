@@ -0,0 +1,27 @@
+-- Product Translations Tables Creation
+-- The products and product_images tables hold text in the default locale
+-- (DEFAULT_LOCALE, "fr"); these tables hold the other locales. Locales are
+-- lowercase BCP 47 language tags such as "en" or "en-gb".
+CREATE TABLE IF NOT EXISTS product_translations (
+    product_id INT NOT NULL,
+    locale VARCHAR(35) NOT NULL,
+    name VARCHAR(255) DEFAULT NULL,
+    description TEXT DEFAULT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (product_id, locale),
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE
+);
+CREATE TABLE IF NOT EXISTS product_image_translations (
+    image_id INT NOT NULL,
+    locale VARCHAR(35) NOT NULL,
+    alt_text VARCHAR(255) NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (image_id, locale),
+    FOREIGN KEY (image_id) REFERENCES product_images(id) ON DELETE CASCADE
+);
+-- Example: name of product 1 in English, falling back to the default locale
+SELECT COALESCE(t.name, p.name) AS name
+FROM products p
+    LEFT JOIN product_translations t ON t.product_id = p.id
+    AND t.locale = 'en'
+WHERE p.id = 1;
@@ -0,0 +1,62 @@
+-- Product Variants Tables Creation
+-- Option types (e.g. "Size", "Colour") defined per product
+CREATE TABLE IF NOT EXISTS product_options (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_option_per_product (product_id, name)
+);
+-- Values of an option type (e.g. "S", "M", "L" for "Size")
+CREATE TABLE IF NOT EXISTS product_option_values (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    option_id INT NOT NULL,
+    value VARCHAR(100) NOT NULL,
+    display_order INT DEFAULT 0,
+    FOREIGN KEY (option_id) REFERENCES product_options(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_value_per_option (option_id, value)
+);
+-- Sellable variants of a product, each with its own SKU and stock
+-- price is an override: NULL means the product's price applies
+CREATE TABLE IF NOT EXISTS product_variants (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    sku VARCHAR(64) NOT NULL,
+    price DECIMAL(10, 2) DEFAULT NULL,
+    quantity INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_sku (sku),
+    INDEX idx_variant_product_id (product_id)
+);
+-- The option value chosen for each option of a variant (e.g. Size = M, Colour = Blue)
+CREATE TABLE IF NOT EXISTS product_variant_option_values (
+    variant_id INT NOT NULL,
+    option_value_id INT NOT NULL,
+    PRIMARY KEY (variant_id, option_value_id),
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    FOREIGN KEY (option_value_id) REFERENCES product_option_values(id) ON DELETE CASCADE
+);
+-- Let order items reference the variant that was sold
+ALTER TABLE order_items
+ADD COLUMN variant_id INT DEFAULT NULL
+AFTER product_id,
+    ADD FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE
+SET NULL;
+-- Example: get the variants of product 1 with their option values
+SELECT v.id,
+    v.sku,
+    COALESCE(v.price, p.price) AS effective_price,
+    v.quantity,
+    o.name AS option_name,
+    ov.value AS option_value
+FROM product_variants v
+    JOIN products p ON v.product_id = p.id
+    LEFT JOIN product_variant_option_values vov ON v.id = vov.variant_id
+    LEFT JOIN product_option_values ov ON vov.option_value_id = ov.id
+    LEFT JOIN product_options o ON ov.option_id = o.id
+WHERE v.product_id = 1
+ORDER BY v.id,
+    o.id;
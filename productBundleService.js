@@ -0,0 +1,193 @@
+/**
+ * productBundleService.js
+ * This module contains functions for product bundles: products sold as a kit
+ * of other products at the bundle's own price (see product-bundles-schema.sql).
+ * A bundle has no stock of its own; its availability derives from its
+ * components, and ordering it draws each component's stock.
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+/**
+ * Get the components of a bundle inside a transaction
+ * @param {Object} connection - The database connection in use
+ * @param {number} bundleId - The bundle's product ID
+ * @returns {Promise<Array>} The components (product_id, quantity), empty if the product is not a bundle
+ */
+const getBundleComponents = async (connection, bundleId) => {
+  const [components] = await connection.execute(
+    `
+      SELECT component_id AS product_id, quantity
+      FROM product_bundle_items
+      WHERE bundle_id = ?
+      ORDER BY component_id
+    `,
+    [bundleId]
+  );
+  return components;
+};
+
+/**
+ * Get the bundle details of several products at once
+ * @param {Array<number>} productIds - The product IDs
+ * @returns {Promise<Object>} Bundles keyed by product ID (products that are not bundles are absent),
+ * each with its items and the number of bundles the components' stock allows
+ */
+const getBundlesForProducts = async (productIds) => {
+  const bundlesByProduct = {};
+  if (productIds.length === 0) {
+    return bundlesByProduct;
+  }
+
+  const placeholders = productIds.map(() => "?").join(", ");
+  const rows = await executeQuery(
+    `
+      SELECT bi.bundle_id, bi.component_id, bi.quantity,
+             p.sku, p.name, p.quantity AS stock, p.archived_at
+      FROM product_bundle_items bi
+      JOIN products p ON bi.component_id = p.id
+      WHERE bi.bundle_id IN (${placeholders})
+      ORDER BY bi.bundle_id, bi.component_id
+    `,
+    productIds
+  );
+
+  for (const row of rows) {
+    if (!bundlesByProduct[row.bundle_id]) {
+      bundlesByProduct[row.bundle_id] = { items: [], available_quantity: null };
+    }
+
+    // Archived components cannot be ordered, so they make the bundle unavailable
+    const stock = row.archived_at ? 0 : row.stock;
+    const bundle = bundlesByProduct[row.bundle_id];
+    const available = Math.floor(stock / row.quantity);
+
+    bundle.items.push({
+      product_id: row.component_id,
+      sku: row.sku,
+      name: row.name,
+      quantity: row.quantity,
+      stock,
+    });
+    bundle.available_quantity =
+      bundle.available_quantity === null
+        ? available
+        : Math.min(bundle.available_quantity, available);
+  }
+
+  return bundlesByProduct;
+};
+
+/**
+ * Get the bundle details of a product
+ * @param {number} productId - The product ID
+ * @returns {Promise<Object|null>} The bundle, or null if the product is not a bundle
+ */
+const getBundle = async (productId) => {
+  const bundlesByProduct = await getBundlesForProducts([productId]);
+  return bundlesByProduct[productId] || null;
+};
+
+/**
+ * Replace the components of a bundle
+ * An empty list turns the bundle back into a regular product. Bundles cannot
+ * be nested: a bundle cannot contain another bundle or be a component itself.
+ * @param {number} bundleId - The bundle's product ID
+ * @param {Array<Object>} items - The components (product_id, quantity)
+ * @returns {Promise<Object>} Result of the operation
+ */
+const setBundleItems = async (bundleId, items) => {
+  const componentIds = items.map((item) => Number(item.product_id));
+
+  if (componentIds.includes(Number(bundleId))) {
+    throw createServiceError(
+      400,
+      "Invalid bundle",
+      "A bundle cannot contain itself"
+    );
+  }
+  if (new Set(componentIds).size !== componentIds.length) {
+    throw createServiceError(
+      400,
+      "Invalid bundle",
+      "Each product can only appear once in a bundle; use quantity instead"
+    );
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    if (componentIds.length > 0) {
+      const [parents] = await connection.execute(
+        "SELECT bundle_id FROM product_bundle_items WHERE component_id = ? LIMIT 1",
+        [bundleId]
+      );
+      if (parents.length > 0) {
+        throw createServiceError(
+          400,
+          "Invalid bundle",
+          `Product ${bundleId} is a component of bundle ${parents[0].bundle_id} and cannot be a bundle itself`
+        );
+      }
+
+      const placeholders = componentIds.map(() => "?").join(", ");
+      const [components] = await connection.execute(
+        `
+          SELECT p.id,
+                 EXISTS (SELECT 1 FROM product_bundle_items bi WHERE bi.bundle_id = p.id) AS is_bundle
+          FROM products p
+          WHERE p.id IN (${placeholders})
+        `,
+        componentIds
+      );
+
+      if (components.length !== componentIds.length) {
+        throw createServiceError(
+          400,
+          "Invalid reference",
+          "Every component must be an existing product"
+        );
+      }
+      if (components.some((component) => component.is_bundle)) {
+        throw createServiceError(
+          400,
+          "Invalid bundle",
+          "A bundle cannot contain another bundle"
+        );
+      }
+    }
+
+    await connection.execute(
+      "DELETE FROM product_bundle_items WHERE bundle_id = ?",
+      [bundleId]
+    );
+
+    for (const item of items) {
+      await connection.execute(
+        `
+          INSERT INTO product_bundle_items (bundle_id, component_id, quantity)
+          VALUES (?, ?, ?)
+        `,
+        [bundleId, item.product_id, item.quantity]
+      );
+    }
+
+    await connection.commit();
+
+    return { message: "Bundle updated successfully" };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  getBundleComponents,
+  getBundlesForProducts,
+  getBundle,
+  setBundleItems,
+};
@@ -0,0 +1,298 @@
+/**
+ * productCsvService.js
+ * This module contains functions for bulk product import and export as CSV.
+ * Imported rows are created or updated through productService so they get
+ * the same behaviour as POST /products and PUT /products/{id}.
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const productService = require("./productService");
+const lowStockService = require("./lowStockService");
+const { parseCsvRecords, formatCsvRow } = require("./csvUtils");
+
+// Columns written by the export and understood by the import
+const CSV_COLUMNS = ["id", "sku", "name", "price", "quantity", "description"];
+
+// Maximum number of data rows accepted in a single import
+const MAX_IMPORT_ROWS = 1000;
+
+// Number of products read per query while exporting
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Validate one CSV record and convert it to product data
+ * @param {Object} record - The CSV record keyed by column name
+ * @returns {Object} The product ID (null if the row has none), the product data and the list of validation errors
+ */
+const validateRecord = (record) => {
+  const errors = [];
+  const product = {};
+  let id = null;
+
+  if (record.id) {
+    id = Number(record.id);
+    if (!Number.isInteger(id) || id < 1) {
+      errors.push("id must be a positive integer");
+      id = null;
+    }
+  }
+
+  if (record.sku) {
+    if (record.sku.length > 64) {
+      errors.push("sku must be at most 64 characters");
+    }
+    product.sku = record.sku;
+  }
+
+  if (!record.name) {
+    errors.push("name is required");
+  } else {
+    product.name = record.name;
+  }
+
+  if (record.price === undefined || record.price === "") {
+    errors.push("price is required");
+  } else {
+    const price = Number(record.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push("price must be a non-negative number");
+    } else {
+      product.price = price;
+    }
+  }
+
+  if (record.quantity !== undefined && record.quantity !== "") {
+    const quantity = Number(record.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      errors.push("quantity must be a non-negative integer");
+    } else {
+      product.quantity = quantity;
+    }
+  }
+
+  if (record.description !== undefined) {
+    product.description = record.description;
+  }
+
+  return { id, product, errors };
+};
+
+/**
+ * Find the existing products matching the IDs, SKUs and names of an import
+ * @param {Array<Object>} rows - The validated rows (id and product data)
+ * @returns {Promise<Object>} Maps of existing products by ID, by SKU and by name
+ */
+const findExistingProducts = async (rows) => {
+  const ids = rows.map(({ id }) => id).filter(Boolean);
+  const skus = rows.map(({ product }) => product.sku).filter(Boolean);
+  const names = rows.map(({ product }) => product.name).filter(Boolean);
+  const byId = new Map();
+  const bySku = new Map();
+  const byName = new Map();
+
+  if (ids.length > 0) {
+    const placeholders = ids.map(() => "?").join(", ");
+    const rows = await executeQuery(
+      `SELECT id, sku, name FROM products WHERE id IN (${placeholders})`,
+      ids
+    );
+    rows.forEach((row) => byId.set(row.id, row));
+  }
+
+  if (skus.length > 0) {
+    const placeholders = skus.map(() => "?").join(", ");
+    const rows = await executeQuery(
+      `SELECT id, sku, name FROM products WHERE sku IN (${placeholders})`,
+      skus
+    );
+    rows.forEach((row) => bySku.set(row.sku, row));
+  }
+
+  if (names.length > 0) {
+    const placeholders = names.map(() => "?").join(", ");
+    const rows = await executeQuery(
+      `SELECT id, sku, name FROM products WHERE name IN (${placeholders})`,
+      names
+    );
+    rows.forEach((row) => byName.set(row.name, row));
+  }
+
+  return { byId, bySku, byName };
+};
+
+/**
+ * Import products from CSV, creating new ones and updating existing ones
+ * Rows are matched to existing products by id, else by sku, else by name.
+ * Every row is validated first; if any row is invalid nothing is written.
+ * Valid rows are written in one transaction, so a failure on any row leaves
+ * the catalogue unchanged.
+ * @param {string} csvText - The CSV text with a header line
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Validate and report without writing
+ * @param {string} options.createdBy - Who ran the import
+ * @returns {Promise<Object>} Summary and per-row report
+ */
+const importProducts = async (csvText, options = {}) => {
+  const { columns, records } = parseCsvRecords(csvText);
+
+  if (!columns.includes("name") || !columns.includes("price")) {
+    return {
+      valid: false,
+      message: "The CSV header must include at least name and price columns",
+      rows: [],
+    };
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    return {
+      valid: false,
+      message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once`,
+      rows: [],
+    };
+  }
+
+  const validated = records.map(validateRecord);
+  const existing = await findExistingProducts(validated);
+
+  // Plan each row: line numbers count the header as line 1
+  const seenKeys = new Set();
+  const seenProductIds = new Set();
+  const rows = validated.map(({ id, product, errors }, index) => {
+    let match;
+    if (id) {
+      // An id always refers to an existing product, it is never created
+      match = existing.byId.get(id);
+      if (!match) {
+        errors.push(`no product with id ${id}`);
+      }
+    } else {
+      const key = product.sku ? `sku:${product.sku}` : `name:${product.name}`;
+      if (seenKeys.has(key)) {
+        errors.push(
+          `duplicate ${product.sku ? "sku" : "name"} earlier in the file`
+        );
+      }
+      seenKeys.add(key);
+
+      match = product.sku
+        ? existing.bySku.get(product.sku)
+        : existing.byName.get(product.name);
+    }
+
+    // Rows matching the same product, e.g. by id on one row and by sku on another
+    if (match && seenProductIds.has(match.id)) {
+      errors.push(`product ${match.id} is already updated earlier in the file`);
+    }
+    if (match) {
+      seenProductIds.add(match.id);
+    }
+
+    return {
+      line: index + 2,
+      action: errors.length > 0 ? "error" : match ? "update" : "create",
+      productId: match ? match.id : null,
+      sku: product.sku || null,
+      name: product.name || null,
+      errors,
+      product,
+    };
+  });
+
+  const invalidRows = rows.filter((row) => row.action === "error");
+  const report = rows.map(({ product, ...row }) => row);
+  const summary = {
+    total: rows.length,
+    create: rows.filter((row) => row.action === "create").length,
+    update: rows.filter((row) => row.action === "update").length,
+    errors: invalidRows.length,
+  };
+
+  if (invalidRows.length > 0 || options.dryRun) {
+    return {
+      valid: invalidRows.length === 0,
+      dryRun: !!options.dryRun,
+      summary,
+      rows: report,
+    };
+  }
+
+  const movements = [];
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    for (const row of rows) {
+      if (row.action === "create") {
+        const result = await productService.insertProduct(
+          connection,
+          row.product,
+          { createdBy: options.createdBy }
+        );
+        row.productId = result.insertId;
+      } else {
+        const { movement } = await productService.applyProductUpdate(
+          connection,
+          row.productId,
+          row.product,
+          { createdBy: options.createdBy }
+        );
+        movements.push(movement);
+      }
+    }
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await lowStockService.publishLowStockAlerts(movements);
+
+  return {
+    valid: true,
+    dryRun: false,
+    summary,
+    rows: rows.map(({ product, ...row }) => row),
+  };
+};
+
+/**
+ * Export the whole catalogue (excluding archived products) as CSV
+ * Products are read in batches so large catalogues are not loaded in one query
+ * @returns {Promise<string>} The CSV text with a header line
+ */
+const exportProducts = async () => {
+  const lines = [formatCsvRow(CSV_COLUMNS)];
+  let lastId = 0;
+
+  for (;;) {
+    const products = await executeQuery(
+      `
+        SELECT ${CSV_COLUMNS.join(", ")}
+        FROM products
+        WHERE id > ? AND archived_at IS NULL
+        ORDER BY id ASC
+        LIMIT ${EXPORT_BATCH_SIZE}
+      `,
+      [lastId]
+    );
+
+    for (const product of products) {
+      lines.push(formatCsvRow(CSV_COLUMNS.map((column) => product[column])));
+    }
+
+    if (products.length < EXPORT_BATCH_SIZE) {
+      break;
+    }
+    lastId = products[products.length - 1].id;
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+module.exports = {
+  importProducts,
+  exportProducts,
+};
@@ -0,0 +1,116 @@
+/**
+ * productRelationService.js
+ * This module contains functions for related products: links curated by
+ * hand (see product-bundles-schema.sql) and "frequently bought together"
+ * products computed from the items of past orders
+ */
+
+const { executeQuery } = require("./dbConnector");
+const priceService = require("./priceService");
+const { VOID_ORDER_STATUSES } = require("./orderStatusService");
+const { createServiceError } = require("./serviceError");
+
+/**
+ * Get the curated and computed related products of a product
+ * Archived products are left out of both lists
+ * @param {number} productId - The product ID
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of frequently bought together products
+ * @returns {Promise<Object>} The curated related products (in display order)
+ * and the frequently bought together products (most shared orders first)
+ */
+const getRelatedProducts = async (productId, options = {}) => {
+  const limit = options.limit || 10;
+
+  const related = await executeQuery(
+    `
+      SELECT p.id, p.sku, p.name, p.price, pr.position
+      FROM product_relations pr
+      JOIN products p ON pr.related_product_id = p.id
+      WHERE pr.product_id = ? AND p.archived_at IS NULL
+      ORDER BY pr.position ASC, p.id ASC
+    `,
+    [productId]
+  );
+
+  // Cancelled and refunded orders are not counted as co-purchases; LIMIT is a
+  // validated integer, inlined like in the other listings
+  const voidPlaceholders = VOID_ORDER_STATUSES.map(() => "?").join(", ");
+  const frequentlyBoughtTogether = await executeQuery(
+    `
+      SELECT p.id, p.sku, p.name, p.price,
+             COUNT(DISTINCT other.order_id) AS order_count
+      FROM order_items item
+      JOIN order_items other
+        ON other.order_id = item.order_id AND other.product_id <> item.product_id
+      JOIN orders o ON item.order_id = o.id
+      JOIN products p ON other.product_id = p.id
+      WHERE item.product_id = ?
+        AND o.order_status NOT IN (${voidPlaceholders})
+        AND p.archived_at IS NULL
+      GROUP BY p.id, p.sku, p.name, p.price
+      ORDER BY order_count DESC, p.id ASC
+      LIMIT ${limit}
+    `,
+    [productId, ...VOID_ORDER_STATUSES]
+  );
+
+  await priceService.addEffectivePrices([
+    ...related,
+    ...frequentlyBoughtTogether,
+  ]);
+
+  return {
+    related,
+    frequently_bought_together: frequentlyBoughtTogether,
+  };
+};
+
+/**
+ * Link a related product to a product
+ * Links are one-way: add the reverse link too if both should show each other
+ * @param {number} productId - The product ID
+ * @param {Object} relation - The link
+ * @param {number} relation.related_product_id - The related product ID
+ * @param {number} relation.position - Optional display order (lowest first)
+ * @returns {Promise<Object>} Result of the insert operation
+ */
+const addRelatedProduct = async (productId, relation) => {
+  if (Number(relation.related_product_id) === Number(productId)) {
+    throw createServiceError(
+      400,
+      "Invalid relation",
+      "A product cannot be related to itself"
+    );
+  }
+
+  const query = `
+    INSERT INTO product_relations (product_id, related_product_id, position)
+    VALUES (?, ?, ?)
+  `;
+  return executeQuery(query, [
+    productId,
+    relation.related_product_id,
+    relation.position || 0,
+  ]);
+};
+
+/**
+ * Remove a curated related product link
+ * @param {number} productId - The product ID
+ * @param {number} relatedProductId - The related product ID
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const removeRelatedProduct = async (productId, relatedProductId) => {
+  const query = `
+    DELETE FROM product_relations
+    WHERE product_id = ? AND related_product_id = ?
+  `;
+  return executeQuery(query, [productId, relatedProductId]);
+};
+
+module.exports = {
+  getRelatedProducts,
+  addRelatedProduct,
+  removeRelatedProduct,
+};
@@ -0,0 +1,275 @@
+/**
+ * productSearchService.js
+ * This module contains functions for full-text search on the products table
+ * (see product-search-schema.sql for the required FULLTEXT indexes)
+ */
+
+const { executeQuery } = require("./dbConnector");
+const productService = require("./productService");
+
+// Queries up to this length get typo-tolerant matching when nothing matches exactly
+const SHORT_QUERY_MAX_LENGTH = 12;
+
+// Maximum number of candidates considered for typo-tolerant matching
+const FUZZY_CANDIDATE_LIMIT = 100;
+
+// Number of characters kept on each side of the first match in a snippet
+const SNIPPET_RADIUS = 60;
+
+/**
+ * Split a search query into plain terms, dropping boolean-mode operators
+ * @param {string} query - The raw search query
+ * @returns {Array<string>} The search terms
+ */
+const getSearchTerms = (query) => {
+  return query
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .split(/\s+/)
+    .filter((term) => term.length > 0);
+};
+
+/**
+ * Compute the Levenshtein edit distance between two strings
+ * @param {string} a - The first string
+ * @param {string} b - The second string
+ * @returns {number} The number of single-character edits between a and b
+ */
+const levenshteinDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Maximum number of typos tolerated for a term of the given length
+ * @param {string} term - The search term
+ * @returns {number} The allowed edit distance
+ */
+const getAllowedTypos = (term) => (term.length <= 4 ? 1 : 2);
+
+/**
+ * Escape text for safe inclusion in an HTML snippet
+ * @param {string} text - The raw text
+ * @returns {string} The escaped text
+ */
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+};
+
+/**
+ * Build a highlighted snippet of text around the first matching term
+ * Matches are wrapped in <mark> tags; the rest of the text is HTML-escaped
+ * @param {string} text - The text to highlight
+ * @param {Array<string>} terms - The terms to highlight
+ * @returns {string|null} The highlighted snippet, or null if nothing matches
+ */
+const buildSnippet = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return null;
+  }
+
+  const pattern = new RegExp(
+    `(${terms
+      .map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+      .join("|")})`,
+    "gi"
+  );
+
+  const firstMatch = text.search(pattern);
+  if (firstMatch === -1) {
+    return null;
+  }
+
+  const start = Math.max(0, firstMatch - SNIPPET_RADIUS);
+  const end = Math.min(text.length, firstMatch + SNIPPET_RADIUS);
+  const excerpt = text.substring(start, end);
+
+  const highlighted = excerpt
+    .split(pattern)
+    .map((part, index) =>
+      // split() with a capture group puts the matches at odd indexes
+      index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    )
+    .join("");
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < text.length ? "…" : "";
+  return `${prefix}${highlighted}${suffix}`;
+};
+
+/**
+ * Load the matched products with the same data as GET /products, adding each
+ * match's relevance and highlighted snippets of the name and description
+ * Snippets come from the untranslated text, which is what the search matched
+ * @param {Array<Object>} matches - The matches: the row (id, name, description, relevance) and the terms to highlight
+ * @param {Object} options - Options passed to productService.getProductsByIds
+ * @returns {Promise<Array>} The products, in the order of the matches
+ */
+const buildResults = async (matches, options) => {
+  const products = await productService.getProductsByIds(
+    matches.map(({ row }) => row.id),
+    options
+  );
+
+  const productsById = {};
+  for (const product of products) {
+    productsById[product.id] = product;
+  }
+
+  return matches
+    .filter(({ row }) => productsById[row.id])
+    .map(({ row, terms }) => ({
+      ...productsById[row.id],
+      relevance: row.relevance,
+      highlights: {
+        name: buildSnippet(row.name, terms),
+        description: buildSnippet(row.description, terms),
+      },
+    }));
+};
+
+/**
+ * Find products whose name is within a few typos of a short query
+ * Candidates come from the bigram FULLTEXT index on name and are then
+ * filtered by edit distance between each query term and the name's words
+ * @param {Array<string>} terms - The search terms
+ * @returns {Promise<Array>} Matching rows with the name words that matched
+ */
+const findFuzzyMatches = async (terms) => {
+  const query = `
+    SELECT p.id, p.name, p.description,
+      MATCH(p.name) AGAINST(? IN NATURAL LANGUAGE MODE) AS relevance
+    FROM products p
+    WHERE MATCH(p.name) AGAINST(? IN NATURAL LANGUAGE MODE)
+      AND p.archived_at IS NULL
+    ORDER BY relevance DESC
+    LIMIT ${FUZZY_CANDIDATE_LIMIT}
+  `;
+  const searchText = terms.join(" ");
+  const candidates = await executeQuery(query, [searchText, searchText]);
+
+  const matches = [];
+  for (const row of candidates) {
+    const words = (row.name || "").toLowerCase().split(/\W+/);
+    const matchedWords = [];
+
+    const allTermsMatch = terms.every((term) => {
+      const word = words.find(
+        (candidate) =>
+          candidate.length > 0 &&
+          levenshteinDistance(term.toLowerCase(), candidate) <=
+            getAllowedTypos(term)
+      );
+      if (word) {
+        matchedWords.push(word);
+      }
+      return !!word;
+    });
+
+    if (allTermsMatch) {
+      matches.push({ row, terms: matchedWords });
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Search active (non-archived) products by name and description with relevance ranking
+ * Short queries that match nothing fall back to typo-tolerant matching on name
+ * @param {string} searchQuery - The search query
+ * @param {Object} options - Search options
+ * @param {number} options.page - The page number (1-based)
+ * @param {number} options.limit - The number of products per page
+ * @param {boolean} options.includeImages - Include each product's full image list
+ * @param {Array<string>} options.locales - Locales to translate the text into, most preferred first
+ * @returns {Promise<Object>} The matching products (shaped like GET /products, with relevance and highlights) and pagination details
+ */
+const searchProducts = async (searchQuery, options = {}) => {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const offset = (page - 1) * limit;
+
+  const terms = getSearchTerms(searchQuery);
+  if (terms.length === 0) {
+    return {
+      products: [],
+      pagination: { page, limit, total: 0, totalPages: 0 },
+      fuzzy: false,
+    };
+  }
+
+  const naturalQuery = terms.join(" ");
+  const booleanQuery = terms.map((term) => `${term}*`).join(" ");
+
+  const countQuery = `
+    SELECT COUNT(*) AS total
+    FROM products
+    WHERE MATCH(name, description) AGAINST(? IN BOOLEAN MODE)
+      AND archived_at IS NULL
+  `;
+  const countResult = await executeQuery(countQuery, [booleanQuery]);
+  const total = countResult[0].total;
+
+  if (total === 0 && searchQuery.trim().length <= SHORT_QUERY_MAX_LENGTH) {
+    const fuzzyMatches = await findFuzzyMatches(terms);
+    const pageMatches = fuzzyMatches.slice(offset, offset + limit);
+
+    return {
+      products: await buildResults(pageMatches, options),
+      pagination: {
+        page,
+        limit,
+        total: fuzzyMatches.length,
+        totalPages: Math.ceil(fuzzyMatches.length / limit),
+      },
+      fuzzy: true,
+    };
+  }
+
+  const query = `
+    SELECT p.id, p.name, p.description,
+      MATCH(p.name, p.description) AGAINST(? IN NATURAL LANGUAGE MODE) AS relevance
+    FROM products p
+    WHERE MATCH(p.name, p.description) AGAINST(? IN BOOLEAN MODE)
+      AND p.archived_at IS NULL
+    ORDER BY relevance DESC, p.name ASC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+  const rows = await executeQuery(query, [naturalQuery, booleanQuery]);
+
+  return {
+    products: await buildResults(
+      rows.map((row) => ({ row, terms })),
+      options
+    ),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+    fuzzy: false,
+  };
+};
+
+module.exports = {
+  searchProducts,
+};
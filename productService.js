@@ -3,59 +3,438 @@
  * This module contains functions for CRUD operations on the products table
  */
 
-const { executeQuery } = require("./dbConnector");
+const { executeQuery, pool } = require("./dbConnector");
+const productVariantService = require("./productVariantService");
+const categoryService = require("./categoryService");
+const attributeService = require("./attributeService");
+const productBundleService = require("./productBundleService");
+const productTranslationService = require("./productTranslationService");
+const stockMovementService = require("./stockMovementService");
+const priceService = require("./priceService");
+const lowStockService = require("./lowStockService");
+const {
+  createServiceError,
+  createVersionConflictError,
+} = require("./serviceError");
+
+// Columns that GET /products can be sorted by
+const PRODUCT_SORT_COLUMNS = ["id", "name", "price", "quantity"];
+
+// Fields of a product that an update can change
+const PRODUCT_UPDATE_FIELDS = [
+  "sku",
+  "name",
+  "price",
+  "description",
+  "low_stock_threshold",
+  "quantity",
+  "category_ids",
+  "attributes",
+];
+
+// Image columns shared by primary_image and the images list
+const IMAGE_FIELDS = [
+  "id",
+  "image_url",
+  "image_key",
+  "alt_text",
+  "display_order",
+];
 
 /**
- * Get all products from the database
- * @returns {Promise<Array>} List of products
+ * Build the SELECT for products joined with their primary image
+ * The full image list is aggregated in the same query when requested
+ * @param {boolean} includeImages - Whether to also select all images
+ * @returns {string} The SELECT ... FROM ... clause (products are aliased p)
  */
-const getAllProducts = async () => {
-  const query = `SELECT * FROM products`;
-  return executeQuery(query);
+const buildProductSelect = (includeImages) => {
+  const primaryColumns = IMAGE_FIELDS.map(
+    (field) => `pi.${field} AS primary_image_${field}`
+  ).join(", ");
+
+  const imageObject = IMAGE_FIELDS.map(
+    (field) => `'${field}', img.${field}`
+  ).join(", ");
+  const imagesColumn = includeImages
+    ? `,
+      (SELECT JSON_ARRAYAGG(JSON_OBJECT(${imageObject}, 'is_primary', img.is_primary))
+       FROM product_images img
+       WHERE img.product_id = p.id) AS images`
+    : "";
+
+  return `
+    SELECT p.*, ${primaryColumns}${imagesColumn}
+    FROM products p
+    LEFT JOIN product_images pi ON pi.product_id = p.id AND pi.is_primary = TRUE
+  `;
+};
+
+/**
+ * Move the joined image columns of a product row into image objects
+ * @param {Object} row - The row from a buildProductSelect query
+ * @returns {Object} The product with primary_image (and images if selected)
+ */
+const shapeProductImages = (row) => {
+  const product = { ...row };
+
+  product.primary_image = null;
+  if (row.primary_image_id) {
+    product.primary_image = {};
+    for (const field of IMAGE_FIELDS) {
+      product.primary_image[field] = row[`primary_image_${field}`];
+    }
+  }
+  for (const field of IMAGE_FIELDS) {
+    delete product[`primary_image_${field}`];
+  }
+
+  if (row.images !== undefined) {
+    // JSON_ARRAYAGG does not guarantee order, so sort by display order here
+    const images =
+      typeof row.images === "string" ? JSON.parse(row.images) : row.images;
+    product.images = (images || [])
+      .map((image) => ({ ...image, is_primary: !!image.is_primary }))
+      .sort((a, b) => a.display_order - b.display_order);
+  }
+
+  return product;
+};
+
+/**
+ * Build the WHERE clause for a product listing from the given filters
+ * @param {Object} filters - The listing filters
+ * @returns {Object} The WHERE clause and its parameters
+ */
+const buildProductFilters = (filters) => {
+  // Archived products are only listed when explicitly asked for
+  const conditions = [
+    filters.archived ? "p.archived_at IS NOT NULL" : "p.archived_at IS NULL",
+  ];
+  const params = [];
+
+  if (filters.name) {
+    conditions.push("p.name LIKE ?");
+    params.push(`%${filters.name}%`);
+  }
+
+  if (filters.minPrice !== undefined) {
+    conditions.push("p.price >= ?");
+    params.push(filters.minPrice);
+  }
+
+  if (filters.maxPrice !== undefined) {
+    conditions.push("p.price <= ?");
+    params.push(filters.maxPrice);
+  }
+
+  if (filters.minQuantity !== undefined) {
+    conditions.push("p.quantity >= ?");
+    params.push(filters.minQuantity);
+  }
+
+  if (filters.maxQuantity !== undefined) {
+    conditions.push("p.quantity <= ?");
+    params.push(filters.maxQuantity);
+  }
+
+  if (filters.categoryIds !== undefined) {
+    const placeholders = filters.categoryIds.map(() => "?").join(", ");
+    conditions.push(
+      `p.id IN (SELECT product_id FROM product_categories WHERE category_id IN (${placeholders}))`
+    );
+    params.push(...filters.categoryIds);
+  }
+
+  // Resolved by attributeService.resolveAttributeFilters
+  for (const filter of filters.attributeFilters || []) {
+    const valueConditions = [];
+    const valueParams = [];
+    if (filter.eq !== undefined) {
+      valueConditions.push(`${filter.column} = ?`);
+      valueParams.push(filter.eq);
+    }
+    if (filter.min !== undefined) {
+      valueConditions.push(`${filter.column} >= ?`);
+      valueParams.push(filter.min);
+    }
+    if (filter.max !== undefined) {
+      valueConditions.push(`${filter.column} <= ?`);
+      valueParams.push(filter.max);
+    }
+
+    conditions.push(
+      `p.id IN (SELECT product_id FROM product_attribute_values WHERE attribute_id = ? AND ${valueConditions.join(
+        " AND "
+      )})`
+    );
+    params.push(filter.attributeId, ...valueParams);
+  }
+
+  return {
+    whereClause: `WHERE ${conditions.join(" AND ")}`,
+    params,
+  };
+};
+
+/**
+ * Add variants, categories, attributes, bundle, effective prices and
+ * translations to products read with buildProductSelect
+ * @param {Array} products - The products, shaped by shapeProductImages
+ * @param {Array<string>} locales - Locales to translate the text into, most preferred first
+ */
+const addProductDetails = async (products, locales) => {
+  const productIds = products.map((product) => product.id);
+  const variantsByProduct = await productVariantService.getVariantsForProducts(
+    productIds
+  );
+  const categoriesByProduct = await categoryService.getCategoriesForProducts(
+    productIds
+  );
+  const attributesByProduct = await attributeService.getAttributesForProducts(
+    productIds
+  );
+  const bundlesByProduct = await productBundleService.getBundlesForProducts(
+    productIds
+  );
+  for (const product of products) {
+    product.variants = variantsByProduct[product.id] || [];
+    product.categories = categoriesByProduct[product.id] || [];
+    product.attributes = attributesByProduct[product.id] || {};
+    product.bundle = bundlesByProduct[product.id] || null;
+  }
+  await priceService.addEffectivePrices(products);
+  await productTranslationService.translateProducts(products, locales || []);
+};
+
+/**
+ * Get a page of products from the database
+ * @param {Object} options - Listing options
+ * @param {number} options.page - The page number (1-based)
+ * @param {number} options.limit - The number of products per page
+ * @param {string} options.sortBy - The column to sort by
+ * @param {string} options.sortOrder - The sort direction ("asc" or "desc")
+ * @param {string} options.name - Only products whose name contains this text
+ * @param {number} options.minPrice - Minimum price
+ * @param {number} options.maxPrice - Maximum price
+ * @param {number} options.minQuantity - Minimum stock level
+ * @param {number} options.maxQuantity - Maximum stock level
+ * @param {Array<number>} options.categoryIds - Only products in one of these categories
+ * @param {Array<Object>} options.attributeFilters - Attribute filters from attributeService.resolveAttributeFilters
+ * @param {boolean} options.archived - List archived products instead of active ones
+ * @param {boolean} options.includeImages - Include each product's full image list
+ * @param {Array<string>} options.locales - Locales to translate the text into, most preferred first
+ * @returns {Promise<Object>} The products on the page (with their primary image, variants, categories, attributes and bundle) and pagination details
+ */
+const getAllProducts = async (options = {}) => {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const offset = (page - 1) * limit;
+
+  const sortBy = PRODUCT_SORT_COLUMNS.includes(options.sortBy)
+    ? options.sortBy
+    : "id";
+  const sortOrder = options.sortOrder === "desc" ? "DESC" : "ASC";
+
+  const { whereClause, params } = buildProductFilters(options);
+
+  const countQuery = `SELECT COUNT(*) AS total FROM products p ${whereClause}`;
+  const countResult = await executeQuery(countQuery, params);
+  const total = countResult[0].total;
+
+  // LIMIT/OFFSET are validated integers, inlined because prepared
+  // statements do not accept them as placeholders on every MySQL version
+  const query = `
+    ${buildProductSelect(options.includeImages)}
+    ${whereClause}
+    ORDER BY p.${sortBy} ${sortOrder}
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+  const rows = await executeQuery(query, params);
+  const products = rows.map(shapeProductImages);
+  await addProductDetails(products, options.locales);
+
+  return {
+    products,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
 };
 
 /**
  * Get a product by its ID
  * @param {number} id - The product ID
- * @returns {Promise<Object>} The product data
+ * @param {Object} options - Options
+ * @param {boolean} options.includeImages - Include the product's full image list
+ * @param {Array<string>} options.locales - Locales to translate the text into, most preferred first
+ * @returns {Promise<Object>} The product data with its primary image, variants, categories, attributes and bundle
  */
-const getProductById = async (id) => {
-  const query = `SELECT * FROM products WHERE id = ?`;
+const getProductById = async (id, options = {}) => {
+  const query = `
+    ${buildProductSelect(options.includeImages)}
+    WHERE p.id = ?
+  `;
   const result = await executeQuery(query, [id]);
-  return result[0]; // Return the first (and should be only) result
+  // Return the first (and should be only) result
+  const product = result[0] ? shapeProductImages(result[0]) : undefined;
+
+  if (product) {
+    product.variants = await productVariantService.getProductVariants(id);
+    const categoriesByProduct = await categoryService.getCategoriesForProducts([
+      product.id,
+    ]);
+    product.categories = categoriesByProduct[product.id] || [];
+    const attributesByProduct = await attributeService.getAttributesForProducts(
+      [product.id]
+    );
+    product.attributes = attributesByProduct[product.id] || {};
+    product.bundle = await productBundleService.getBundle(product.id);
+    await priceService.addEffectivePrices([product]);
+    await productTranslationService.translateProducts(
+      [product],
+      options.locales || []
+    );
+  }
+
+  return product;
 };
 
 /**
- * Create a new product
- * @param {Object} product - The product data
+ * Get products by their IDs, with the same data as getAllProducts
+ * @param {Array<number>} ids - The product IDs
+ * @param {Object} options - Options
+ * @param {boolean} options.includeImages - Include each product's full image list
+ * @param {Array<string>} options.locales - Locales to translate the text into, most preferred first
+ * @returns {Promise<Array>} The products found, in no particular order
+ */
+const getProductsByIds = async (ids, options = {}) => {
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const placeholders = ids.map(() => "?").join(", ");
+  const query = `
+    ${buildProductSelect(options.includeImages)}
+    WHERE p.id IN (${placeholders})
+  `;
+  const rows = await executeQuery(query, ids);
+  const products = rows.map(shapeProductImages);
+  await addProductDetails(products, options.locales);
+
+  return products;
+};
+
+/**
+ * Insert a new product in the caller's transaction
+ * The initial quantity is recorded as a "restock" stock movement and the
+ * initial price in the price history
+ * @param {Object} connection - The database connection in a transaction
+ * @param {Object} product - The product data (category_ids and attributes, keyed by attribute code, are optional)
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who created the product
  * @returns {Promise<Object>} Result of the insert operation
  */
-const createProduct = async (product) => {
+const insertProduct = async (connection, product, options = {}) => {
+  // Stock starts at 0 and is added through the ledger below
   const query = `
-    INSERT INTO products (name, price, quantity, description) 
-    VALUES (?, ?, ?, ?)
+    INSERT INTO products (sku, name, price, quantity, description, low_stock_threshold) 
+    VALUES (?, ?, ?, 0, ?, ?)
   `;
   const params = [
+    product.sku || null,
     product.name,
     product.price,
-    product.quantity,
     product.description,
+    product.low_stock_threshold === undefined
+      ? null
+      : product.low_stock_threshold,
   ];
 
-  return executeQuery(query, params);
+  const [result] = await connection.execute(query, params);
+
+  await priceService.recordPriceChange(connection, {
+    productId: result.insertId,
+    oldPrice: null,
+    newPrice: product.price,
+    changedBy: options.createdBy,
+  });
+
+  if (product.quantity) {
+    await stockMovementService.changeStock(connection, {
+      productId: result.insertId,
+      delta: product.quantity,
+      reason: "restock",
+      note: "Initial stock",
+      createdBy: options.createdBy,
+    });
+  }
+
+  if (product.attributes !== undefined) {
+    await attributeService.setProductAttributes(
+      connection,
+      result.insertId,
+      product.attributes
+    );
+  }
+
+  if (product.category_ids !== undefined) {
+    await categoryService.setProductCategories(
+      connection,
+      result.insertId,
+      product.category_ids
+    );
+  }
+
+  return result;
 };
 
 /**
- * Update an existing product
+ * Create a new product
+ * @param {Object} product - The product data (see insertProduct)
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who created the product
+ * @returns {Promise<Object>} Result of the insert operation
+ */
+const createProduct = async (product, options = {}) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await insertProduct(connection, product, options);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Apply an update to an existing product in the caller's transaction
+ * A new quantity is recorded as an "adjustment" stock movement and a new
+ * price in the price history. Every update increments the product's version.
+ * @param {Object} connection - The database connection in a transaction
  * @param {number} id - The product ID to update
- * @param {Object} product - The updated product data
- * @returns {Promise<Object>} Result of the update operation
+ * @param {Object} product - The updated product data (category_ids replaces the product's categories; attributes only changes the given codes, null removes one)
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who updated the product
+ * @param {number} options.expectedVersion - Version the client read; a 412 error is thrown if it is stale
+ * @returns {Promise<Object>} The new version and the stock movement of a new quantity (or null)
  */
-const updateProduct = async (id, product) => {
+const applyProductUpdate = async (connection, id, product, options = {}) => {
   // Create dynamic query based on provided fields
   const updates = [];
   const params = [];
 
+  if (product.sku !== undefined) {
+    updates.push("sku = ?");
+    params.push(product.sku || null);
+  }
+
   if (product.name !== undefined) {
     updates.push("name = ?");
     params.push(product.name);
@@ -66,16 +445,45 @@ const updateProduct = async (id, product) => {
     params.push(product.price);
   }
 
-  if (product.quantity !== undefined) {
-    updates.push("quantity = ?");
-    params.push(product.quantity);
-  }
-
   if (product.description !== undefined) {
     updates.push("description = ?");
     params.push(product.description);
   }
 
+  if (product.low_stock_threshold !== undefined) {
+    updates.push("low_stock_threshold = ?");
+    params.push(product.low_stock_threshold);
+  }
+
+  // Lock the row so the version check and the update are atomic
+  const [rows] = await connection.execute(
+    "SELECT price, version FROM products WHERE id = ? FOR UPDATE",
+    [id]
+  );
+  if (rows.length === 0) {
+    throw createServiceError(404, "Product not found", "Product not found");
+  }
+  if (
+    options.expectedVersion !== undefined &&
+    rows[0].version !== options.expectedVersion
+  ) {
+    throw createVersionConflictError("Product", await getProductById(id));
+  }
+
+  if (
+    product.price !== undefined &&
+    Number(rows[0].price) !== Number(product.price)
+  ) {
+    await priceService.recordPriceChange(connection, {
+      productId: id,
+      oldPrice: rows[0].price,
+      newPrice: product.price,
+      changedBy: options.createdBy,
+    });
+  }
+
+  updates.push("version = version + 1");
+
   // Add the ID at the end of params
   params.push(id);
 
@@ -84,24 +492,124 @@ const updateProduct = async (id, product) => {
     SET ${updates.join(", ")} 
     WHERE id = ?
   `;
+  await connection.execute(query, params);
 
-  return executeQuery(query, params);
+  let movement = null;
+  if (product.quantity !== undefined) {
+    movement = await stockMovementService.setStock(connection, {
+      productId: id,
+      quantity: product.quantity,
+      reason: "adjustment",
+      note: "Quantity set on product update",
+      createdBy: options.createdBy,
+    });
+  }
+
+  if (product.attributes !== undefined) {
+    await attributeService.setProductAttributes(
+      connection,
+      id,
+      product.attributes
+    );
+  }
+
+  if (product.category_ids !== undefined) {
+    await categoryService.setProductCategories(
+      connection,
+      id,
+      product.category_ids
+    );
+  }
+
+  // A new quantity increments the version again through the stock ledger
+  const [updated] = await connection.execute(
+    "SELECT version FROM products WHERE id = ?",
+    [id]
+  );
+
+  return { version: updated[0].version, movement };
+};
+
+/**
+ * Update an existing product
+ * @param {number} id - The product ID to update
+ * @param {Object} product - The updated product data (see applyProductUpdate)
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who updated the product
+ * @param {number} options.expectedVersion - Version the client read; a 412 error is thrown if it is stale
+ * @returns {Promise<Object>} Result of the update operation with the new version
+ */
+const updateProduct = async (id, product, options = {}) => {
+  if (!PRODUCT_UPDATE_FIELDS.some((field) => product[field] !== undefined)) {
+    return { message: "No product fields to update" };
+  }
+
+  let update;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    update = await applyProductUpdate(connection, id, product, options);
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  await lowStockService.publishLowStockAlerts([update.movement]);
+
+  return { message: "Product updated successfully", version: update.version };
+};
+
+/**
+ * Archive a product: hide it from listings and new orders, keeping its row
+ * @param {number} id - The product ID to archive
+ * @returns {Promise<Object>} Result of the update operation
+ */
+const archiveProduct = async (id) => {
+  const query = `
+    UPDATE products
+    SET archived_at = CURRENT_TIMESTAMP, version = version + 1
+    WHERE id = ? AND archived_at IS NULL
+  `;
+  return executeQuery(query, [id]);
+};
+
+/**
+ * Restore an archived product
+ * @param {number} id - The product ID to restore
+ * @returns {Promise<Object>} Result of the update operation
+ */
+const restoreProduct = async (id) => {
+  const query = `
+    UPDATE products
+    SET archived_at = NULL, version = version + 1
+    WHERE id = ? AND archived_at IS NOT NULL
+  `;
+  return executeQuery(query, [id]);
 };
 
 /**
- * Delete a product by its ID
+ * Permanently delete a product by its ID
  * @param {number} id - The product ID to delete
  * @returns {Promise<Object>} Result of the delete operation
  */
-const deleteProduct = async (id) => {
+const purgeProduct = async (id) => {
   const query = `DELETE FROM products WHERE id = ?`;
   return executeQuery(query, [id]);
 };
 
 module.exports = {
+  PRODUCT_SORT_COLUMNS,
   getAllProducts,
   getProductById,
+  getProductsByIds,
+  insertProduct,
   createProduct,
+  applyProductUpdate,
   updateProduct,
-  deleteProduct,
+  archiveProduct,
+  restoreProduct,
+  purgeProduct,
 };
@@ -0,0 +1,312 @@
+/**
+ * productTranslationService.js
+ * This module contains functions for per-locale translations of product text
+ * and image alt text (see product-translations-schema.sql). The products and
+ * product_images tables hold the text in the default locale.
+ */
+
+const { executeQuery } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+// Locale of the text stored on the products and product_images tables
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || "fr").toLowerCase();
+
+// BCP 47 language tags such as "en", "en-GB" or "zh-Hant-TW"
+const LOCALE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+/**
+ * Normalize a locale so it can be compared and stored
+ * @param {string} locale - The language tag (e.g. "en-GB")
+ * @returns {string|null} The lowercase tag, or null if it is not a valid tag
+ */
+const normalizeLocale = (locale) => {
+  const tag = String(locale || "").trim();
+  return LOCALE_PATTERN.test(tag) ? tag.toLowerCase() : null;
+};
+
+/**
+ * Parse an Accept-Language header into locales by preference
+ * @param {string} header - The header value (e.g. "en-GB,en;q=0.8,fr;q=0.5")
+ * @returns {Array<string>} The normalized locales, most preferred first
+ */
+const parseAcceptLanguage = (header) => {
+  return (header || "")
+    .split(",")
+    .map((part, index) => {
+      const [tag, ...params] = part.split(";").map((value) => value.trim());
+      const quality = params.find((param) => param.startsWith("q="));
+      return {
+        locale: normalizeLocale(tag),
+        q: quality ? Number(quality.slice(2)) : 1,
+        index,
+      };
+    })
+    .filter(({ locale, q }) => locale && q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index)
+    .map(({ locale }) => locale);
+};
+
+/**
+ * Expand requested locales into the order translations are looked up in
+ * Each regional locale falls back to its language ("en-gb" -> "en"); the
+ * list stops at the default locale, whose text is on the product itself
+ * @param {Array<string>} locales - The requested locales, most preferred first
+ * @returns {Array<string>} The locales to try
+ */
+const getLocaleCandidates = (locales) => {
+  const candidates = [];
+
+  for (const locale of locales) {
+    const language = locale.split("-")[0];
+    for (const candidate of [locale, language]) {
+      if (candidate === DEFAULT_LOCALE) {
+        return candidates;
+      }
+      if (!candidates.includes(candidate)) {
+        candidates.push(candidate);
+      }
+    }
+  }
+
+  return candidates;
+};
+
+/**
+ * Pick the first translation available in the candidate locales
+ * @param {Map} translations - Translations keyed by locale
+ * @param {Array<string>} candidates - The locales to try, in order
+ * @returns {Object|null} The translation, or null to keep the default text
+ */
+const pickTranslation = (translations, candidates) => {
+  const locale = candidates.find((candidate) => translations.has(candidate));
+  return locale ? translations.get(locale) : null;
+};
+
+/**
+ * Replace the text of products (and their images' alt text) with translations
+ * Fields a translation leaves empty keep the default locale's text
+ * @param {Array<Object>} products - The products, as returned by productService
+ * @param {Array<string>} locales - The requested locales, most preferred first
+ * @returns {Promise<Array<Object>>} The same products, each with the locale used
+ */
+const translateProducts = async (products, locales) => {
+  const candidates = getLocaleCandidates(locales);
+
+  for (const product of products) {
+    product.locale = DEFAULT_LOCALE;
+  }
+  if (products.length === 0 || candidates.length === 0) {
+    return products;
+  }
+
+  const productIds = products.map((product) => product.id);
+  const productPlaceholders = productIds.map(() => "?").join(", ");
+  const localePlaceholders = candidates.map(() => "?").join(", ");
+
+  const productRows = await executeQuery(
+    `
+      SELECT product_id, locale, name, description
+      FROM product_translations
+      WHERE product_id IN (${productPlaceholders})
+        AND locale IN (${localePlaceholders})
+    `,
+    [...productIds, ...candidates]
+  );
+
+  const imageRows = await executeQuery(
+    `
+      SELECT t.image_id, t.locale, t.alt_text
+      FROM product_image_translations t
+      JOIN product_images pi ON t.image_id = pi.id
+      WHERE pi.product_id IN (${productPlaceholders})
+        AND t.locale IN (${localePlaceholders})
+    `,
+    [...productIds, ...candidates]
+  );
+
+  // Group the translations by product or image, then by locale
+  const groupByLocale = (rows, key) => {
+    const grouped = new Map();
+    for (const row of rows) {
+      if (!grouped.has(row[key])) {
+        grouped.set(row[key], new Map());
+      }
+      grouped.get(row[key]).set(row.locale, row);
+    }
+    return grouped;
+  };
+  const productTranslations = groupByLocale(productRows, "product_id");
+  const imageTranslations = groupByLocale(imageRows, "image_id");
+
+  const translateImage = (image) => {
+    const translation = pickTranslation(
+      imageTranslations.get(image.id) || new Map(),
+      candidates
+    );
+    if (translation && translation.alt_text) {
+      image.alt_text = translation.alt_text;
+    }
+  };
+
+  for (const product of products) {
+    const translation = pickTranslation(
+      productTranslations.get(product.id) || new Map(),
+      candidates
+    );
+    if (translation) {
+      product.name = translation.name || product.name;
+      product.description = translation.description || product.description;
+      product.locale = translation.locale;
+    }
+
+    if (product.primary_image) {
+      translateImage(product.primary_image);
+    }
+    (product.images || []).forEach(translateImage);
+  }
+
+  return products;
+};
+
+/**
+ * Check a locale for a translation and normalize it
+ * @param {string} locale - The locale from the request
+ * @returns {string} The normalized locale
+ */
+const assertTranslatableLocale = (locale) => {
+  const normalized = normalizeLocale(locale);
+
+  if (!normalized) {
+    throw createServiceError(
+      400,
+      "Invalid locale",
+      `${locale} is not a valid language tag (e.g. "en" or "en-GB")`
+    );
+  }
+  if (normalized === DEFAULT_LOCALE) {
+    throw createServiceError(
+      400,
+      "Invalid locale",
+      `${DEFAULT_LOCALE} is the default locale; update the product itself instead`
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Get all translations of a product and of its images
+ * @param {number} productId - The product ID
+ * @returns {Promise<Object>} The default locale and the translations
+ */
+const getProductTranslations = async (productId) => {
+  const translations = await executeQuery(
+    `
+      SELECT locale, name, description, updated_at
+      FROM product_translations
+      WHERE product_id = ?
+      ORDER BY locale ASC
+    `,
+    [productId]
+  );
+
+  const imageTranslations = await executeQuery(
+    `
+      SELECT t.image_id, t.locale, t.alt_text, t.updated_at
+      FROM product_image_translations t
+      JOIN product_images pi ON t.image_id = pi.id
+      WHERE pi.product_id = ?
+      ORDER BY t.image_id ASC, t.locale ASC
+    `,
+    [productId]
+  );
+
+  return {
+    default_locale: DEFAULT_LOCALE,
+    translations,
+    image_translations: imageTranslations,
+  };
+};
+
+/**
+ * Create or replace the translation of a product in a locale
+ * @param {number} productId - The product ID
+ * @param {string} locale - The locale (any valid language tag except the default)
+ * @param {Object} translation - The translated name and description
+ * @returns {Promise<Object>} Result of the operation with the stored locale
+ */
+const setProductTranslation = async (productId, locale, translation) => {
+  const normalized = assertTranslatableLocale(locale);
+
+  await executeQuery(
+    `
+      INSERT INTO product_translations (product_id, locale, name, description)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE name = VALUES(name), description = VALUES(description)
+    `,
+    [
+      productId,
+      normalized,
+      translation.name || null,
+      translation.description || null,
+    ]
+  );
+
+  return { message: "Translation saved successfully", locale: normalized };
+};
+
+/**
+ * Delete the translation of a product in a locale
+ * @param {number} productId - The product ID
+ * @param {string} locale - The locale
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteProductTranslation = async (productId, locale) => {
+  const query = `DELETE FROM product_translations WHERE product_id = ? AND locale = ?`;
+  return executeQuery(query, [productId, normalizeLocale(locale)]);
+};
+
+/**
+ * Create or replace the translated alt text of a product image in a locale
+ * @param {number} imageId - The image ID
+ * @param {string} locale - The locale (any valid language tag except the default)
+ * @param {string} altText - The translated alt text
+ * @returns {Promise<Object>} Result of the operation with the stored locale
+ */
+const setImageTranslation = async (imageId, locale, altText) => {
+  const normalized = assertTranslatableLocale(locale);
+
+  await executeQuery(
+    `
+      INSERT INTO product_image_translations (image_id, locale, alt_text)
+      VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE alt_text = VALUES(alt_text)
+    `,
+    [imageId, normalized, altText]
+  );
+
+  return { message: "Translation saved successfully", locale: normalized };
+};
+
+/**
+ * Delete the translated alt text of a product image in a locale
+ * @param {number} imageId - The image ID
+ * @param {string} locale - The locale
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteImageTranslation = async (imageId, locale) => {
+  const query = `DELETE FROM product_image_translations WHERE image_id = ? AND locale = ?`;
+  return executeQuery(query, [imageId, normalizeLocale(locale)]);
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseAcceptLanguage,
+  translateProducts,
+  getProductTranslations,
+  setProductTranslation,
+  deleteProductTranslation,
+  setImageTranslation,
+  deleteImageTranslation,
+};
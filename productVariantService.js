@@ -0,0 +1,436 @@
+/**
+ * productVariantService.js
+ * This module contains functions for CRUD operations on product options,
+ * option values and variants (see product-variants-schema.sql)
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const stockMovementService = require("./stockMovementService");
+const lowStockService = require("./lowStockService");
+const { createServiceError } = require("./serviceError");
+
+/**
+ * Group variant rows (one per option value) into variant objects
+ * @param {Array} rows - Rows from the variants/option values join
+ * @returns {Array} Variants with their option values
+ */
+const groupVariantRows = (rows) => {
+  const variants = new Map();
+
+  for (const row of rows) {
+    if (!variants.has(row.id)) {
+      variants.set(row.id, {
+        id: row.id,
+        product_id: row.product_id,
+        sku: row.sku,
+        price: row.price,
+        effective_price: row.effective_price,
+        quantity: row.quantity,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        options: [],
+      });
+    }
+
+    if (row.option_value_id) {
+      variants.get(row.id).options.push({
+        option_id: row.option_id,
+        option_name: row.option_name,
+        value_id: row.option_value_id,
+        value: row.option_value,
+      });
+    }
+  }
+
+  return Array.from(variants.values());
+};
+
+// Variants joined with their product (for the effective price) and option values
+const VARIANT_SELECT = `
+  SELECT v.id, v.product_id, v.sku, v.price,
+         COALESCE(v.price, p.price) AS effective_price,
+         v.quantity, v.created_at, v.updated_at,
+         o.id AS option_id, o.name AS option_name,
+         ov.id AS option_value_id, ov.value AS option_value
+  FROM product_variants v
+  JOIN products p ON v.product_id = p.id
+  LEFT JOIN product_variant_option_values vov ON v.id = vov.variant_id
+  LEFT JOIN product_option_values ov ON vov.option_value_id = ov.id
+  LEFT JOIN product_options o ON ov.option_id = o.id
+`;
+
+/**
+ * Get all variants of a product
+ * @param {number} productId - The product ID
+ * @returns {Promise<Array>} List of variants with their option values
+ */
+const getProductVariants = async (productId) => {
+  const query = `
+    ${VARIANT_SELECT}
+    WHERE v.product_id = ?
+    ORDER BY v.id, o.id
+  `;
+  const rows = await executeQuery(query, [productId]);
+  return groupVariantRows(rows);
+};
+
+/**
+ * Get the variants of several products at once
+ * @param {Array<number>} productIds - The product IDs
+ * @returns {Promise<Object>} Lists of variants keyed by product ID
+ */
+const getVariantsForProducts = async (productIds) => {
+  const variantsByProduct = {};
+  if (productIds.length === 0) {
+    return variantsByProduct;
+  }
+
+  const placeholders = productIds.map(() => "?").join(", ");
+  const query = `
+    ${VARIANT_SELECT}
+    WHERE v.product_id IN (${placeholders})
+    ORDER BY v.id, o.id
+  `;
+  const rows = await executeQuery(query, productIds);
+
+  for (const variant of groupVariantRows(rows)) {
+    if (!variantsByProduct[variant.product_id]) {
+      variantsByProduct[variant.product_id] = [];
+    }
+    variantsByProduct[variant.product_id].push(variant);
+  }
+
+  return variantsByProduct;
+};
+
+/**
+ * Get a variant by its ID
+ * @param {number} id - The variant ID
+ * @returns {Promise<Object>} The variant with its option values
+ */
+const getProductVariantById = async (id) => {
+  const query = `
+    ${VARIANT_SELECT}
+    WHERE v.id = ?
+    ORDER BY o.id
+  `;
+  const rows = await executeQuery(query, [id]);
+  return groupVariantRows(rows)[0];
+};
+
+/**
+ * Check that option value IDs all belong to options of the given product
+ * @param {Object} connection - The database connection in use
+ * @param {number} productId - The product ID
+ * @param {Array<number>} optionValueIds - The option value IDs
+ */
+const assertOptionValuesBelongToProduct = async (
+  connection,
+  productId,
+  optionValueIds
+) => {
+  if (optionValueIds.length === 0) {
+    return;
+  }
+
+  const placeholders = optionValueIds.map(() => "?").join(", ");
+  const [rows] = await connection.execute(
+    `
+      SELECT ov.id
+      FROM product_option_values ov
+      JOIN product_options o ON ov.option_id = o.id
+      WHERE o.product_id = ? AND ov.id IN (${placeholders})
+    `,
+    [productId, ...optionValueIds]
+  );
+
+  if (rows.length !== new Set(optionValueIds).size) {
+    throw createServiceError(
+      400,
+      "Invalid option values",
+      `Every option value must belong to an option of product ${productId}`
+    );
+  }
+};
+
+/**
+ * Create a new variant for a product
+ * @param {number} productId - The product ID
+ * @param {Object} variant - The variant data
+ * @param {string} variant.sku - The unique SKU
+ * @param {number} variant.price - Optional price override
+ * @param {number} variant.quantity - Stock for this variant
+ * @param {Array<number>} variant.option_value_ids - The variant's option values
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who created the variant
+ * @returns {Promise<Object>} Result with the created variant ID
+ */
+const createProductVariant = async (productId, variant, options = {}) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const optionValueIds = variant.option_value_ids || [];
+    await assertOptionValuesBelongToProduct(
+      connection,
+      productId,
+      optionValueIds
+    );
+
+    // Stock starts at 0 and is added through the ledger below
+    const [result] = await connection.execute(
+      `
+        INSERT INTO product_variants (product_id, sku, price, quantity)
+        VALUES (?, ?, ?, 0)
+      `,
+      [
+        productId,
+        variant.sku,
+        variant.price === undefined ? null : variant.price,
+      ]
+    );
+    const variantId = result.insertId;
+
+    if (variant.quantity) {
+      await stockMovementService.changeStock(connection, {
+        productId,
+        variantId,
+        delta: variant.quantity,
+        reason: "restock",
+        note: "Initial stock",
+        createdBy: options.createdBy,
+      });
+    }
+
+    for (const optionValueId of optionValueIds) {
+      await connection.execute(
+        `
+          INSERT INTO product_variant_option_values (variant_id, option_value_id)
+          VALUES (?, ?)
+        `,
+        [variantId, optionValueId]
+      );
+    }
+
+    await connection.commit();
+
+    return { id: variantId, message: "Variant created successfully" };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Update an existing variant
+ * A new quantity is recorded as an "adjustment" stock movement
+ * @param {number} id - The variant ID to update
+ * @param {number} productId - The product the variant belongs to
+ * @param {Object} variant - The updated variant data
+ * @param {Object} options - Options
+ * @param {string} options.createdBy - Who updated the variant
+ * @returns {Promise<Object>} Result of the operation
+ */
+const updateProductVariant = async (id, productId, variant, options = {}) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Create dynamic query based on provided fields
+    const updates = [];
+    const params = [];
+
+    if (variant.sku !== undefined) {
+      updates.push("sku = ?");
+      params.push(variant.sku);
+    }
+
+    if (variant.price !== undefined) {
+      updates.push("price = ?");
+      params.push(variant.price);
+    }
+
+    if (updates.length > 0) {
+      params.push(id);
+      await connection.execute(
+        `UPDATE product_variants SET ${updates.join(", ")} WHERE id = ?`,
+        params
+      );
+    }
+
+    let movement = null;
+    if (variant.quantity !== undefined) {
+      movement = await stockMovementService.setStock(connection, {
+        productId,
+        variantId: id,
+        quantity: variant.quantity,
+        reason: "adjustment",
+        note: "Quantity set on variant update",
+        createdBy: options.createdBy,
+      });
+    }
+
+    // Replace the option values if a new set was provided
+    if (variant.option_value_ids !== undefined) {
+      await assertOptionValuesBelongToProduct(
+        connection,
+        productId,
+        variant.option_value_ids
+      );
+
+      await connection.execute(
+        "DELETE FROM product_variant_option_values WHERE variant_id = ?",
+        [id]
+      );
+
+      for (const optionValueId of variant.option_value_ids) {
+        await connection.execute(
+          `
+            INSERT INTO product_variant_option_values (variant_id, option_value_id)
+            VALUES (?, ?)
+          `,
+          [id, optionValueId]
+        );
+      }
+    }
+
+    await connection.commit();
+
+    await lowStockService.publishLowStockAlerts([movement]);
+
+    return { message: "Variant updated successfully" };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Delete a variant by its ID
+ * Order items keep their history; their variant_id is set to NULL
+ * @param {number} id - The variant ID to delete
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteProductVariant = async (id) => {
+  const query = `DELETE FROM product_variants WHERE id = ?`;
+  return executeQuery(query, [id]);
+};
+
+/**
+ * Get all options of a product with their values
+ * @param {number} productId - The product ID
+ * @returns {Promise<Array>} List of options, each with a values array
+ */
+const getProductOptions = async (productId) => {
+  const query = `
+    SELECT o.id, o.product_id, o.name,
+           ov.id AS value_id, ov.value, ov.display_order
+    FROM product_options o
+    LEFT JOIN product_option_values ov ON o.id = ov.option_id
+    WHERE o.product_id = ?
+    ORDER BY o.id, ov.display_order ASC
+  `;
+  const rows = await executeQuery(query, [productId]);
+
+  const options = new Map();
+  for (const row of rows) {
+    if (!options.has(row.id)) {
+      options.set(row.id, {
+        id: row.id,
+        product_id: row.product_id,
+        name: row.name,
+        values: [],
+      });
+    }
+
+    if (row.value_id) {
+      options.get(row.id).values.push({
+        id: row.value_id,
+        value: row.value,
+        display_order: row.display_order,
+      });
+    }
+  }
+
+  return Array.from(options.values());
+};
+
+/**
+ * Get an option by its ID
+ * @param {number} id - The option ID
+ * @returns {Promise<Object>} The option data
+ */
+const getProductOptionById = async (id) => {
+  const query = `SELECT id, product_id, name FROM product_options WHERE id = ?`;
+  const result = await executeQuery(query, [id]);
+  return result[0]; // Return the first (and should be only) result
+};
+
+/**
+ * Create a new option type with its values for a product
+ * @param {number} productId - The product ID
+ * @param {Object} option - The option data
+ * @param {string} option.name - The option name (e.g. "Size")
+ * @param {Array<string>} option.values - The option values (e.g. ["S", "M", "L"])
+ * @returns {Promise<Object>} Result with the created option ID
+ */
+const createProductOption = async (productId, option) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      "INSERT INTO product_options (product_id, name) VALUES (?, ?)",
+      [productId, option.name]
+    );
+    const optionId = result.insertId;
+
+    const values = option.values || [];
+    for (let i = 0; i < values.length; i++) {
+      await connection.execute(
+        `
+          INSERT INTO product_option_values (option_id, value, display_order)
+          VALUES (?, ?, ?)
+        `,
+        [optionId, values[i], i]
+      );
+    }
+
+    await connection.commit();
+
+    return { id: optionId, message: "Option created successfully" };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Delete an option and its values
+ * Variants lose the deleted values but are otherwise kept
+ * @param {number} id - The option ID to delete
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteProductOption = async (id) => {
+  const query = `DELETE FROM product_options WHERE id = ?`;
+  return executeQuery(query, [id]);
+};
+
+module.exports = {
+  getProductVariants,
+  getVariantsForProducts,
+  getProductVariantById,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant,
+  getProductOptions,
+  getProductOptionById,
+  createProductOption,
+  deleteProductOption,
+};
@@ -0,0 +1,94 @@
+-- Staff Roles and Permissions Tables Creation
+-- Every API handler requires a permission (see HANDLER_PERMISSIONS in
+-- handler.js). Callers get the permissions of the roles assigned to their
+-- token subject in staff_roles, plus those of roles named in the token's
+-- "roles" or "cognito:groups" claim.
+CREATE TABLE IF NOT EXISTS roles (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS permissions (
+    code VARCHAR(50) PRIMARY KEY,
+    description VARCHAR(255)
+);
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INT NOT NULL,
+    permission_code VARCHAR(50) NOT NULL,
+    PRIMARY KEY (role_id, permission_code),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_code) REFERENCES permissions(code) ON DELETE CASCADE
+);
+-- Roles assigned to staff, keyed by the "sub" claim of their tokens
+CREATE TABLE IF NOT EXISTS staff_roles (
+    principal_id VARCHAR(255) NOT NULL,
+    role_id INT NOT NULL,
+    assigned_by VARCHAR(255),
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (principal_id, role_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    INDEX idx_role_id (role_id)
+);
+INSERT IGNORE INTO permissions (code, description)
+VALUES ('products:read', 'View products, variants, stock, prices, images, categories and attributes'),
+    ('products:write', 'Create and edit products, variants, bundles, translations and images'),
+    ('products:delete', 'Archive and purge products'),
+    ('stock:write', 'Post stock movements and reconcile stock'),
+    ('pricing:write', 'Schedule and cancel price rules'),
+    ('catalog:write', 'Manage categories and attribute definitions'),
+    ('users:read', 'View customers'),
+    ('users:write', 'Create and edit customers'),
+    ('users:delete', 'Erase the personal data of customers'),
+    ('orders:read', 'View orders, totals and payments'),
+    ('orders:write', 'Create and edit orders, their items and payments'),
+    ('orders:status', 'Change the status of orders'),
+    ('orders:delete', 'Delete orders'),
+    ('roles:manage', 'Assign staff roles'),
+    ('system:admin', 'Run connection and payment diagnostics');
+INSERT IGNORE INTO roles (name, description)
+VALUES ('owner', 'Full access, including deletions and role assignments'),
+    ('manager', 'Manages the catalogue, customers and orders; cannot delete'),
+    ('fulfilment', 'Views products and orders and changes order status'),
+    ('read-only', 'Views everything, changes nothing');
+INSERT IGNORE INTO role_permissions (role_id, permission_code)
+SELECT r.id,
+    p.code
+FROM roles r
+    JOIN permissions p
+WHERE r.name = 'owner'
+    OR (
+        r.name = 'manager'
+        AND p.code IN (
+            'products:read',
+            'products:write',
+            'stock:write',
+            'pricing:write',
+            'catalog:write',
+            'users:read',
+            'users:write',
+            'orders:read',
+            'orders:write',
+            'orders:status'
+        )
+    )
+    OR (
+        r.name = 'fulfilment'
+        AND p.code IN ('products:read', 'orders:read', 'orders:status')
+    )
+    OR (
+        r.name = 'read-only'
+        AND p.code IN ('products:read', 'users:read', 'orders:read')
+    );
+-- Bootstrap: make the first owner (replace with your token's "sub" claim)
+INSERT IGNORE INTO staff_roles (principal_id, role_id, assigned_by)
+SELECT 'your-token-subject',
+    id,
+    'setup'
+FROM roles
+WHERE name = 'owner';
+-- Example: permissions of a caller
+SELECT DISTINCT rp.permission_code
+FROM staff_roles sr
+    JOIN role_permissions rp ON sr.role_id = rp.role_id
+WHERE sr.principal_id = 'your-token-subject';
@@ -0,0 +1,248 @@
+/**
+ * rbacService.js
+ * This module contains functions for staff roles and permissions (see
+ * rbac-schema.sql): resolving what an authenticated caller may do, and
+ * assigning roles to staff
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+// Role that holds every permission and must always be assigned to someone
+const OWNER_ROLE = "owner";
+
+/**
+ * Get the roles granted by the identity provider groups a token carries
+ * Groups only grant the role IDP_GROUP_ROLES maps them to, e.g.
+ * {"warehouse": "fulfilment"}; a token cannot name roles itself
+ * @param {Array<string>} groups - The token's roles or cognito:groups claim
+ * @returns {Array<string>} The mapped role names
+ */
+const getGroupRoles = (groups) => {
+  if (!process.env.IDP_GROUP_ROLES) {
+    return [];
+  }
+
+  const mapping = JSON.parse(process.env.IDP_GROUP_ROLES);
+  return groups
+    .filter((group) => Object.prototype.hasOwnProperty.call(mapping, group))
+    .map((group) => mapping[group]);
+};
+
+/**
+ * Resolve the roles and permissions of an authenticated caller
+ * Roles come from the staff_roles assignments of the caller's subject, and
+ * from the caller's groups mapped by IDP_GROUP_ROLES
+ * @param {Object} principal - The principal returned by authService.authenticate
+ * @returns {Promise<Object>} The caller's role names and permission codes
+ */
+const resolveAccess = async (principal) => {
+  const groupRoles = getGroupRoles(principal.roles);
+  const groupCondition =
+    groupRoles.length > 0
+      ? `OR r.name IN (${groupRoles.map(() => "?").join(", ")})`
+      : "";
+
+  const rows = await executeQuery(
+    `
+      SELECT r.name AS role, rp.permission_code
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role_id = r.id
+      WHERE r.id IN (SELECT role_id FROM staff_roles WHERE principal_id = ?)
+         ${groupCondition}
+    `,
+    [principal.id, ...groupRoles]
+  );
+
+  const roles = new Set();
+  const permissions = new Set();
+  for (const row of rows) {
+    roles.add(row.role);
+    if (row.permission_code) {
+      permissions.add(row.permission_code);
+    }
+  }
+
+  return {
+    roles: [...roles].sort(),
+    permissions: [...permissions].sort(),
+  };
+};
+
+/**
+ * Check whether a caller holds a permission
+ * @param {Object} principal - The principal, with its resolved permissions
+ * @param {string} permission - The permission code (e.g. "orders:status")
+ * @returns {boolean} Whether the permission is granted
+ */
+const hasPermission = (principal, permission) => {
+  return (principal.permissions || []).includes(permission);
+};
+
+/**
+ * Get all roles with their permissions
+ * @returns {Promise<Array>} The roles, by name
+ */
+const getRoles = async () => {
+  const rows = await executeQuery(`
+    SELECT r.id, r.name, r.description, rp.permission_code
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role_id = r.id
+    ORDER BY r.name ASC, rp.permission_code ASC
+  `);
+
+  const roles = [];
+  for (const row of rows) {
+    let role = roles[roles.length - 1];
+    if (!role || role.id !== row.id) {
+      role = {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        permissions: [],
+      };
+      roles.push(role);
+    }
+    if (row.permission_code) {
+      role.permissions.push(row.permission_code);
+    }
+  }
+
+  return roles;
+};
+
+/**
+ * Get all permissions
+ * @returns {Promise<Array>} The permission codes and descriptions
+ */
+const getPermissions = async () => {
+  return executeQuery(
+    "SELECT code, description FROM permissions ORDER BY code ASC"
+  );
+};
+
+/**
+ * Get the staff who have roles assigned, with their roles
+ * @returns {Promise<Array>} The staff, by principal ID
+ */
+const getStaff = async () => {
+  const rows = await executeQuery(`
+    SELECT sr.principal_id, r.name AS role, sr.assigned_by, sr.assigned_at
+    FROM staff_roles sr
+    JOIN roles r ON sr.role_id = r.id
+    ORDER BY sr.principal_id ASC, r.name ASC
+  `);
+
+  const staff = [];
+  for (const row of rows) {
+    let member = staff[staff.length - 1];
+    if (!member || member.principal_id !== row.principal_id) {
+      member = { principal_id: row.principal_id, roles: [] };
+      staff.push(member);
+    }
+    member.roles.push({
+      name: row.role,
+      assigned_by: row.assigned_by,
+      assigned_at: row.assigned_at,
+    });
+  }
+
+  return staff;
+};
+
+/**
+ * Replace the roles assigned to a staff member
+ * An empty list removes all of their roles. The last owner cannot lose the
+ * owner role, so nobody is left able to assign roles.
+ * @param {string} principalId - The staff member's token subject ("sub")
+ * @param {Array<string>} roleNames - The names of the roles to assign
+ * @param {string} assignedBy - Who made the change
+ * @returns {Promise<Object>} Result of the operation with the assigned roles
+ */
+const setStaffRoles = async (principalId, roleNames, assignedBy) => {
+  const names = [...new Set(roleNames)];
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    let roles = [];
+    if (names.length > 0) {
+      const placeholders = names.map(() => "?").join(", ");
+      [roles] = await connection.execute(
+        `SELECT id, name FROM roles WHERE name IN (${placeholders})`,
+        names
+      );
+
+      const unknown = names.filter(
+        (name) => !roles.some((role) => role.name === name)
+      );
+      if (unknown.length > 0) {
+        throw createServiceError(
+          400,
+          "Invalid role",
+          `Unknown role(s): ${unknown.join(", ")}`
+        );
+      }
+    }
+
+    // Lock the owner assignments so two demotions cannot both pass the check
+    if (!names.includes(OWNER_ROLE)) {
+      const [owners] = await connection.execute(
+        `
+          SELECT sr.principal_id
+          FROM staff_roles sr
+          JOIN roles r ON sr.role_id = r.id
+          WHERE r.name = ?
+          FOR UPDATE
+        `,
+        [OWNER_ROLE]
+      );
+      const remaining = owners.filter(
+        (owner) => owner.principal_id !== principalId
+      );
+      if (owners.length > 0 && remaining.length === 0) {
+        throw createServiceError(
+          409,
+          "Last owner",
+          "Assign the owner role to someone else before removing it from the last owner"
+        );
+      }
+    }
+
+    await connection.execute("DELETE FROM staff_roles WHERE principal_id = ?", [
+      principalId,
+    ]);
+
+    for (const role of roles) {
+      await connection.execute(
+        `
+          INSERT INTO staff_roles (principal_id, role_id, assigned_by)
+          VALUES (?, ?, ?)
+        `,
+        [principalId, role.id, assignedBy]
+      );
+    }
+
+    await connection.commit();
+
+    return {
+      message: "Roles updated successfully",
+      roles: roles.map((role) => role.name).sort(),
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  resolveAccess,
+  hasPermission,
+  getRoles,
+  getPermissions,
+  getStaff,
+  setStaffRoles,
+};
@@ -0,0 +1,16 @@
+-- Record Version Columns
+-- Optimistic concurrency: every update of a product, user or order increments
+-- its version. GET /{resource}/{id} returns it as the ETag header and
+-- PUT /{resource}/{id} must send it back in If-Match (412 when it is stale).
+ALTER TABLE products
+ADD COLUMN version INT NOT NULL DEFAULT 1;
+ALTER TABLE users
+ADD COLUMN version INT NOT NULL DEFAULT 1;
+ALTER TABLE orders
+ADD COLUMN version INT NOT NULL DEFAULT 1;
+-- Example: update product 1 only if nobody changed it since version 3 was read
+UPDATE products
+SET name = 'New name',
+    version = version + 1
+WHERE id = 1
+    AND version = 3;
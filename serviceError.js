@@ -0,0 +1,44 @@
+/**
+ * serviceError.js
+ * Helper for errors that services raise with a specific HTTP status,
+ * which handleError in handler.js turns into the matching response
+ */
+
+/**
+ * Create an error carrying the HTTP status and response fields to return
+ * @param {number} statusCode - HTTP status code
+ * @param {string} error - Short error title
+ * @param {string} message - Human-readable error message
+ * @param {Object} details - Extra fields to include in the response body
+ * @returns {Error} The error
+ */
+const createServiceError = (statusCode, error, message, details = {}) => {
+  const serviceError = new Error(message);
+  // Marks the error as safe to return as is; upstream errors (Stripe, AWS
+  // SDK) can carry a statusCode too
+  serviceError.isServiceError = true;
+  serviceError.statusCode = statusCode;
+  serviceError.error = error;
+  serviceError.details = details;
+  return serviceError;
+};
+
+/**
+ * Create the error raised when an update carries a stale version (If-Match)
+ * @param {string} resource - The kind of record (e.g. "Product")
+ * @param {Object} current - The record as it is now, returned to the client
+ * @returns {Error} The 412 error
+ */
+const createVersionConflictError = (resource, current) => {
+  return createServiceError(
+    412,
+    "Precondition failed",
+    `${resource} has been modified since it was read`,
+    { current }
+  );
+};
+
+module.exports = {
+  createServiceError,
+  createVersionConflictError,
+};
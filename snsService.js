@@ -37,7 +37,7 @@ async function publishOrderCreated(orderData) {
     userLocation: orderData.userLocation,
     totalPrice: orderData.totalPrice,
     stripeId: orderData.stripeId,
-    orderStatus: orderData.orderStatus || 'In Progress',
+    orderStatus: orderData.orderStatus || 'pending_payment',
     createdAt: new Date().toISOString(),
     eventType: 'ORDER_CREATED',
     version: '1.0'
@@ -79,6 +79,74 @@ async function publishOrderCreated(orderData) {
   }
 }
 
+/**
+ * Publishes product low stock event to SNS topic
+ * @param {Object} alert - Low stock information
+ * @param {number} alert.productId - The product ID
+ * @param {number|null} alert.variantId - The variant ID (null for product-level stock)
+ * @param {string} alert.sku - Product or variant SKU
+ * @param {string} alert.name - Product name
+ * @param {number} alert.quantity - Stock level after the change
+ * @param {number} alert.threshold - The product's reorder threshold
+ * @returns {Promise<void>}
+ */
+async function publishProductLowStock(alert) {
+  const topicArn = process.env.PRODUCT_LOW_STOCK_TOPIC_ARN;
+
+  if (!topicArn) {
+    console.error('PRODUCT_LOW_STOCK_TOPIC_ARN environment variable not set');
+    throw new Error('SNS topic ARN not configured');
+  }
+
+  const message = {
+    productId: alert.productId,
+    variantId: alert.variantId,
+    sku: alert.sku,
+    name: alert.name,
+    quantity: alert.quantity,
+    threshold: alert.threshold,
+    detectedAt: new Date().toISOString(),
+    eventType: 'PRODUCT_LOW_STOCK',
+    version: '1.0'
+  };
+
+  try {
+    const result = await sns.publish({
+      TopicArn: topicArn,
+      Message: JSON.stringify(message),
+      Subject: 'Product Low Stock',
+      MessageAttributes: {
+        eventType: {
+          DataType: 'String',
+          StringValue: 'PRODUCT_LOW_STOCK'
+        },
+        productId: {
+          DataType: 'Number',
+          StringValue: String(alert.productId)
+        }
+      }
+    }).promise();
+
+    console.log('Product low stock event published to SNS:', {
+      messageId: result.MessageId,
+      productId: alert.productId,
+      variantId: alert.variantId,
+      topicArn: topicArn
+    });
+
+    return result;
+  } catch (error) {
+    console.error('Failed to publish product low stock event to SNS:', {
+      error: error.message,
+      productId: alert.productId,
+      variantId: alert.variantId,
+      topicArn: topicArn
+    });
+    // Don't throw - the stock change is already committed
+  }
+}
+
 module.exports = {
-  publishOrderCreated
+  publishOrderCreated,
+  publishProductLowStock
 };
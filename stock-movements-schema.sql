@@ -0,0 +1,49 @@
+-- Stock Movements Table Creation
+-- Ledger of every change to a product's (or variant's) stock level.
+-- products.quantity / product_variants.quantity hold the current balance and
+-- are only changed together with a row in this table.
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    product_id INT NOT NULL,
+    variant_id INT DEFAULT NULL,
+    reason ENUM(
+        'sale',
+        'restock',
+        'adjustment',
+        'return',
+        'correction'
+    ) NOT NULL,
+    delta INT NOT NULL,
+    balance_after INT NOT NULL,
+    order_id INT DEFAULT NULL,
+    note VARCHAR(255) DEFAULT NULL,
+    created_by VARCHAR(255) DEFAULT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+    FOREIGN KEY (variant_id) REFERENCES product_variants(id) ON DELETE CASCADE,
+    -- Orders may be deleted; the movement is kept for the audit trail
+    INDEX idx_order_id (order_id),
+    INDEX idx_product_history (product_id, variant_id, created_at)
+);
+-- Example: history of product 1 (product-level stock only), newest first
+SELECT id,
+    reason,
+    delta,
+    balance_after,
+    order_id,
+    note,
+    created_by,
+    created_at
+FROM stock_movements
+WHERE product_id = 1
+    AND variant_id IS NULL
+ORDER BY id DESC;
+-- Example: compare the ledger with the stored stock level of product 1
+SELECT p.quantity,
+    COALESCE(SUM(sm.delta), 0) AS ledger_balance
+FROM products p
+    LEFT JOIN stock_movements sm ON sm.product_id = p.id
+    AND sm.variant_id IS NULL
+WHERE p.id = 1
+GROUP BY p.id,
+    p.quantity;
@@ -0,0 +1,305 @@
+/**
+ * stockMovementService.js
+ * This module contains functions for the stock_movements ledger
+ * (see stock-movements-schema.sql). Every change to a product's or variant's
+ * quantity goes through changeStock so that it is recorded with a reason.
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const lowStockService = require("./lowStockService");
+const { createServiceError } = require("./serviceError");
+
+// Reasons a stock level can change for
+const MOVEMENT_REASONS = [
+  "sale",
+  "restock",
+  "adjustment",
+  "return",
+  "correction",
+];
+
+/**
+ * Lock the stock row of a product or variant for the current transaction
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} productId - The product ID
+ * @param {number|null} variantId - The variant ID, or null for product-level stock
+ * @returns {Promise<number>} The current stock level
+ */
+const lockStockLevel = async (connection, productId, variantId) => {
+  const [rows] = variantId
+    ? await connection.execute(
+        "SELECT quantity FROM product_variants WHERE id = ? AND product_id = ? FOR UPDATE",
+        [variantId, productId]
+      )
+    : await connection.execute(
+        "SELECT quantity FROM products WHERE id = ? FOR UPDATE",
+        [productId]
+      );
+
+  if (rows.length === 0) {
+    throw createServiceError(
+      400,
+      "Invalid reference",
+      variantId
+        ? `Variant ${variantId} of product ${productId} does not exist`
+        : `Product ${productId} does not exist`
+    );
+  }
+
+  return rows[0].quantity;
+};
+
+/**
+ * Change a stock level by a delta and record the movement in the ledger
+ * Throws a 409 service error if the stock would become negative
+ * @param {Object} connection - The database connection in a transaction
+ * @param {Object} movement - The movement
+ * @param {number} movement.productId - The product ID
+ * @param {number} movement.variantId - Optional variant ID
+ * @param {number} movement.delta - Units added (positive) or removed (negative)
+ * @param {string} movement.reason - One of MOVEMENT_REASONS
+ * @param {number} movement.orderId - Optional order that caused the movement
+ * @param {string} movement.note - Optional free-text note
+ * @param {string} movement.createdBy - Who made the change
+ * @returns {Promise<Object>} The movement ID, resulting balance and any low-stock
+ * alert, to be published with lowStockService.publishLowStockAlerts after commit
+ */
+const changeStock = async (connection, movement) => {
+  const variantId = movement.variantId || null;
+  const available = await lockStockLevel(
+    connection,
+    movement.productId,
+    variantId
+  );
+  const balance = available + movement.delta;
+
+  if (balance < 0) {
+    throw createServiceError(
+      409,
+      "Insufficient stock",
+      `Only ${available} left in stock`,
+      {
+        productId: movement.productId,
+        variantId,
+        requested: -movement.delta,
+        available,
+      }
+    );
+  }
+
+  if (variantId) {
+    await connection.execute(
+      "UPDATE product_variants SET quantity = ? WHERE id = ?",
+      [balance, variantId]
+    );
+  } else {
+    // The version changes so a client still holding the old quantity cannot
+    // write it back over this movement (If-Match)
+    await connection.execute(
+      "UPDATE products SET quantity = ?, version = version + 1 WHERE id = ?",
+      [balance, movement.productId]
+    );
+  }
+
+  const [result] = await connection.execute(
+    `
+      INSERT INTO stock_movements
+        (product_id, variant_id, reason, delta, balance_after, order_id, note, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+    [
+      movement.productId,
+      variantId,
+      movement.reason,
+      movement.delta,
+      balance,
+      movement.orderId || null,
+      movement.note || null,
+      movement.createdBy || null,
+    ]
+  );
+
+  const lowStockAlert = await lowStockService.checkLowStock(connection, {
+    productId: movement.productId,
+    variantId,
+    previousQuantity: available,
+    quantity: balance,
+  });
+
+  return { id: result.insertId, balance, lowStockAlert };
+};
+
+/**
+ * Set a stock level to an absolute quantity, recording the difference
+ * @param {Object} connection - The database connection in a transaction
+ * @param {Object} movement - As for changeStock, with quantity instead of delta
+ * @returns {Promise<Object|null>} The recorded movement, or null if unchanged
+ */
+const setStock = async (connection, movement) => {
+  const current = await lockStockLevel(
+    connection,
+    movement.productId,
+    movement.variantId || null
+  );
+  const delta = movement.quantity - current;
+
+  if (delta === 0) {
+    return null;
+  }
+
+  return changeStock(connection, { ...movement, delta });
+};
+
+/**
+ * Post a stock movement in its own transaction
+ * @param {number} productId - The product ID
+ * @param {Object} movement - As for changeStock, without productId
+ * @returns {Promise<Object>} The movement ID and resulting balance
+ */
+const adjustStock = async (productId, movement) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const result = await changeStock(connection, { ...movement, productId });
+
+    await connection.commit();
+
+    await lowStockService.publishLowStockAlerts([result]);
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Get a page of a product's stock movements, newest first
+ * @param {number} productId - The product ID
+ * @param {Object} options - Listing options
+ * @param {number} options.variantId - Only movements of this variant
+ * @param {number} options.page - The page number (1-based)
+ * @param {number} options.limit - The number of movements per page
+ * @returns {Promise<Object>} The movements and pagination details
+ */
+const getStockMovements = async (productId, options = {}) => {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const offset = (page - 1) * limit;
+
+  let whereClause = "WHERE product_id = ?";
+  const params = [productId];
+
+  if (options.variantId) {
+    whereClause += " AND variant_id = ?";
+    params.push(options.variantId);
+  }
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) AS total FROM stock_movements ${whereClause}`,
+    params
+  );
+  const total = countResult[0].total;
+
+  const query = `
+    SELECT id, product_id, variant_id, reason, delta, balance_after,
+           order_id, note, created_by, created_at
+    FROM stock_movements
+    ${whereClause}
+    ORDER BY id DESC
+    LIMIT ${limit} OFFSET ${offset}
+  `;
+  const movements = await executeQuery(query, params);
+
+  return {
+    movements,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Compare a stock level with the sum of its ledger movements
+ * With apply, a "correction" movement is posted so that the ledger sums to
+ * the stored level (this also records the opening balance of stock that
+ * existed before the ledger)
+ * @param {number} productId - The product ID
+ * @param {Object} options - Reconciliation options
+ * @param {number} options.variantId - Reconcile this variant's stock instead
+ * @param {boolean} options.apply - Whether to post the correction
+ * @param {string} options.createdBy - Who requested the reconciliation
+ * @returns {Promise<Object>} The stored quantity, ledger balance and difference
+ */
+const reconcileStock = async (productId, options = {}) => {
+  const variantId = options.variantId || null;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const quantity = await lockStockLevel(connection, productId, variantId);
+
+    const [rows] = await connection.execute(
+      `
+        SELECT COALESCE(SUM(delta), 0) AS ledger_balance
+        FROM stock_movements
+        WHERE product_id = ? AND variant_id <=> ?
+      `,
+      [productId, variantId]
+    );
+    const ledgerBalance = Number(rows[0].ledger_balance);
+    const difference = quantity - ledgerBalance;
+
+    let correction = null;
+    if (options.apply && difference !== 0) {
+      // The stored level is kept; only the ledger is brought in line with it
+      const [result] = await connection.execute(
+        `
+          INSERT INTO stock_movements
+            (product_id, variant_id, reason, delta, balance_after, note, created_by)
+          VALUES (?, ?, 'correction', ?, ?, ?, ?)
+        `,
+        [
+          productId,
+          variantId,
+          difference,
+          quantity,
+          "Reconciliation with stored stock level",
+          options.createdBy || null,
+        ]
+      );
+      correction = { id: result.insertId, delta: difference };
+    }
+
+    await connection.commit();
+
+    return {
+      productId: Number(productId),
+      variantId,
+      quantity,
+      ledgerBalance,
+      difference,
+      inSync: difference === 0,
+      correction,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  MOVEMENT_REASONS,
+  changeStock,
+  setStock,
+  adjustStock,
+  getStockMovements,
+  reconcileStock,
+};
@@ -0,0 +1,37 @@
+-- User Address Book Table Creation
+-- Each user can save several shipping and billing addresses, with at most
+-- one default per type (kept by userAddressService). Orders copy the chosen
+-- addresses as JSON snapshots, so editing or deleting an address does not
+-- change past orders.
+CREATE TABLE IF NOT EXISTS user_addresses (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    type ENUM('shipping', 'billing') NOT NULL,
+    recipient VARCHAR(255),
+    street VARCHAR(255) NOT NULL,
+    street2 VARCHAR(255),
+    postcode VARCHAR(20) NOT NULL,
+    city VARCHAR(100) NOT NULL,
+    country CHAR(2) NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_type (user_id, type)
+);
+-- Address snapshots (recipient, street, street2, postcode, city, country)
+ALTER TABLE orders
+ADD COLUMN shipping_address JSON DEFAULT NULL,
+    ADD COLUMN billing_address JSON DEFAULT NULL;
+-- Example: default shipping address of user 1
+SELECT *
+FROM user_addresses
+WHERE user_id = 1
+    AND type = 'shipping'
+    AND is_default = TRUE;
+-- Example: orders shipped to France
+SELECT id,
+    user_id,
+    shipping_address->>'$.city' AS city
+FROM orders
+WHERE shipping_address->>'$.country' = 'FR';
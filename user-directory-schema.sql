@@ -0,0 +1,22 @@
+-- User Directory Columns and Indexes
+-- GET /users filters by signup date and searches names, emails and phone
+-- numbers; users created before this column existed get the migration time.
+ALTER TABLE users
+ADD COLUMN created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+CREATE INDEX idx_users_created_at ON users(created_at);
+CREATE INDEX idx_users_last_name ON users(last_name, first_name);
+CREATE INDEX idx_users_email ON users(email);
+CREATE INDEX idx_users_birthdate ON users(birthdate);
+-- Example: second page of users named like "dupont" who signed up in 2024
+SELECT id,
+    first_name,
+    last_name,
+    email,
+    created_at
+FROM users
+WHERE CONCAT(first_name, ' ', last_name) LIKE '%dupont%'
+    AND created_at >= '2024-01-01'
+    AND created_at < '2025-01-01'
+ORDER BY last_name ASC,
+    id ASC
+LIMIT 50 OFFSET 50;
@@ -0,0 +1,23 @@
+-- User Erasure Column and Table Creation
+-- DELETE /users/{id} anonymizes a user instead of deleting the row, so their
+-- orders and totals are kept for bookkeeping. The address, birthdate, gender
+-- and phone_number columns of users and user_location of orders must accept
+-- NULL, which the erasure writes in place of the personal data.
+ALTER TABLE users
+ADD COLUMN erased_at TIMESTAMP NULL DEFAULT NULL;
+-- One row per erased user: who requested it and when (no personal data)
+CREATE TABLE IF NOT EXISTS user_erasures (
+    user_id INT PRIMARY KEY,
+    erased_by VARCHAR(255),
+    erased_at TIMESTAMP NOT NULL,
+    orders_anonymized INT NOT NULL DEFAULT 0,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+-- Example: erasures of the last 30 days
+SELECT user_id,
+    erased_by,
+    erased_at,
+    orders_anonymized
+FROM user_erasures
+WHERE erased_at >= DATE_SUB(CURRENT_TIMESTAMP, INTERVAL 30 DAY)
+ORDER BY erased_at DESC;
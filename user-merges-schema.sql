@@ -0,0 +1,32 @@
+-- User Merges Table Creation
+-- POST /users/{id}/merge moves a duplicate user's orders and addresses to the
+-- surviving user and deletes the duplicate. Each merge is recorded here for
+-- auditing, without copying the duplicate's personal data.
+-- No foreign keys: the surviving user may itself be merged away later
+CREATE TABLE IF NOT EXISTS user_merges (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT NOT NULL,
+    merged_user_id INT NOT NULL,
+    merged_by VARCHAR(255),
+    orders_moved INT NOT NULL DEFAULT 0,
+    addresses_moved INT NOT NULL DEFAULT 0,
+    -- Names of the profile fields the surviving user took from the duplicate
+    fields_copied JSON,
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_id (user_id),
+    INDEX idx_merged_user_id (merged_user_id)
+);
+-- Example: users sharing a phone number (compared on the last 9 digits)
+SELECT RIGHT(REGEXP_REPLACE(phone_number, '[^0-9]', ''), 9) AS phone_key,
+    GROUP_CONCAT(id ORDER BY id) AS user_ids
+FROM users
+WHERE erased_at IS NULL
+    AND phone_number IS NOT NULL
+GROUP BY phone_key
+HAVING COUNT(*) > 1;
+-- Example: which user a deleted duplicate was merged into
+SELECT user_id,
+    merged_by,
+    merged_at
+FROM user_merges
+WHERE merged_user_id = 42;
@@ -0,0 +1,23 @@
+-- User Validation Migration
+-- userService now stores emails trimmed and in lowercase, and rejects an
+-- email already used by another user. Normalize the existing emails, resolve
+-- the duplicates the first query lists, then add the unique index so
+-- concurrent sign-ups cannot create the same email twice.
+UPDATE users
+SET email = LOWER(TRIM(email));
+-- Emails shared by several users (must return no rows before the index)
+SELECT email,
+    COUNT(*) AS user_count,
+    GROUP_CONCAT(id ORDER BY id) AS user_ids
+FROM users
+GROUP BY email
+HAVING COUNT(*) > 1;
+CREATE UNIQUE INDEX idx_users_email_unique ON users(email);
+-- The plain index from user-directory-schema.sql is no longer needed
+DROP INDEX idx_users_email ON users;
+-- Example: users whose phone number is not in E.164 format yet
+SELECT id,
+    phone_number
+FROM users
+WHERE phone_number IS NOT NULL
+    AND phone_number NOT REGEXP '^\\+[1-9][0-9]{6,14}$';
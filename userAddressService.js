@@ -0,0 +1,365 @@
+/**
+ * userAddressService.js
+ * This module contains functions for the address book of users (see
+ * user-addresses-schema.sql). Orders keep a snapshot of the shipping and
+ * billing addresses chosen from it, so later edits do not change past orders.
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+const ADDRESS_TYPES = ["shipping", "billing"];
+
+// Text fields of an address with their maximum length; recipient and
+// street2 are optional
+const ADDRESS_FIELDS = {
+  recipient: 255,
+  street: 255,
+  street2: 255,
+  postcode: 20,
+  city: 100,
+};
+
+const REQUIRED_FIELDS = ["street", "postcode", "city", "country"];
+
+// Columns copied onto orders as the address snapshot
+const SNAPSHOT_FIELDS = [
+  "recipient",
+  "street",
+  "street2",
+  "postcode",
+  "city",
+  "country",
+];
+
+/**
+ * Validate address data and normalize it
+ * Throws a 400 service error listing the invalid fields
+ * @param {Object} address - The address data from the request
+ * @param {boolean} partial - Whether missing required fields are allowed (updates)
+ * @returns {Object} The normalized address fields that were given
+ */
+const validateAddress = (address, partial = false) => {
+  const errors = {};
+  const values = {};
+
+  if (address.type !== undefined) {
+    if (!ADDRESS_TYPES.includes(address.type)) {
+      errors.type = `must be one of: ${ADDRESS_TYPES.join(", ")}`;
+    } else {
+      values.type = address.type;
+    }
+  } else if (!partial) {
+    errors.type = "is required";
+  }
+
+  for (const [field, maxLength] of Object.entries(ADDRESS_FIELDS)) {
+    const value = address[field];
+    if (value === undefined || value === null || value === "") {
+      continue;
+    }
+    if (typeof value !== "string" || value.trim().length > maxLength) {
+      errors[field] = `must be a string of at most ${maxLength} characters`;
+    } else {
+      values[field] = value.trim();
+    }
+  }
+
+  // ISO 3166-1 alpha-2 country codes, stored in uppercase
+  if (address.country !== undefined && address.country !== null) {
+    const country = String(address.country).trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(country)) {
+      errors.country = 'must be a two-letter ISO country code (e.g. "FR")';
+    } else {
+      values.country = country;
+    }
+  }
+
+  for (const field of REQUIRED_FIELDS) {
+    const missing = partial
+      ? address[field] !== undefined && !values[field] && !errors[field]
+      : !values[field] && !errors[field];
+    if (missing) {
+      errors[field] = "is required";
+    }
+  }
+
+  // Optional fields given as null or "" are cleared
+  for (const field of ["recipient", "street2"]) {
+    if (address[field] === null || address[field] === "") {
+      values[field] = null;
+    }
+  }
+
+  if (address.is_default !== undefined) {
+    if (typeof address.is_default !== "boolean") {
+      errors.is_default = "must be true or false";
+    } else {
+      values.is_default = address.is_default;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw createServiceError(
+      400,
+      "Invalid address",
+      "One or more address fields are invalid",
+      { errors }
+    );
+  }
+
+  return values;
+};
+
+/**
+ * Check that a user exists and has not been erased, locking the row
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} userId - The user ID
+ */
+const lockUser = async (connection, userId) => {
+  const [users] = await connection.execute(
+    "SELECT erased_at FROM users WHERE id = ? FOR UPDATE",
+    [userId]
+  );
+  if (users.length === 0) {
+    throw createServiceError(404, "User not found", "User not found");
+  }
+  if (users[0].erased_at) {
+    throw createServiceError(
+      409,
+      "User erased",
+      "The personal data of this user has been erased"
+    );
+  }
+};
+
+/**
+ * Get the addresses of a user, defaults first
+ * @param {number} userId - The user ID
+ * @param {string} type - Only addresses of this type (optional)
+ * @returns {Promise<Array>} The addresses
+ */
+const getAddresses = async (userId, type) => {
+  const conditions = ["user_id = ?"];
+  const params = [userId];
+  if (type) {
+    conditions.push("type = ?");
+    params.push(type);
+  }
+
+  return executeQuery(
+    `
+      SELECT *
+      FROM user_addresses
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY type ASC, is_default DESC, id ASC
+    `,
+    params
+  );
+};
+
+/**
+ * Get an address of a user
+ * @param {number} userId - The user ID
+ * @param {number} addressId - The address ID
+ * @returns {Promise<Object|undefined>} The address
+ */
+const getAddressById = async (userId, addressId) => {
+  const result = await executeQuery(
+    "SELECT * FROM user_addresses WHERE id = ? AND user_id = ?",
+    [addressId, userId]
+  );
+  return result[0];
+};
+
+/**
+ * Make an address the only default of its type for its user
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} userId - The user ID
+ * @param {number} addressId - The address ID
+ * @param {string} type - The address type
+ */
+const setDefaultAddress = async (connection, userId, addressId, type) => {
+  await connection.execute(
+    `
+      UPDATE user_addresses
+      SET is_default = (id = ?)
+      WHERE user_id = ? AND type = ?
+    `,
+    [addressId, userId, type]
+  );
+};
+
+/**
+ * Add an address to a user's address book
+ * The first address of a type becomes the default of that type
+ * @param {number} userId - The user ID
+ * @param {Object} address - The address (type, recipient, street, street2, postcode, city, country, is_default)
+ * @returns {Promise<Object>} Result of the insert operation
+ */
+const createAddress = async (userId, address) => {
+  const values = validateAddress(address);
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await lockUser(connection, userId);
+
+    const [defaults] = await connection.execute(
+      "SELECT id FROM user_addresses WHERE user_id = ? AND type = ? AND is_default = TRUE",
+      [userId, values.type]
+    );
+
+    const [result] = await connection.execute(
+      `
+        INSERT INTO user_addresses (user_id, type, recipient, street, street2, postcode, city, country)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        userId,
+        values.type,
+        values.recipient || null,
+        values.street,
+        values.street2 || null,
+        values.postcode,
+        values.city,
+        values.country,
+      ]
+    );
+
+    if (values.is_default || defaults.length === 0) {
+      await setDefaultAddress(connection, userId, result.insertId, values.type);
+    }
+
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Update an address of a user
+ * Setting is_default to true unsets the previous default of its type
+ * @param {number} userId - The user ID
+ * @param {number} addressId - The address ID
+ * @param {Object} address - The fields to change
+ * @returns {Promise<Object>} Result of the update operation
+ */
+const updateAddress = async (userId, addressId, address) => {
+  const values = validateAddress(address, true);
+  const { is_default: isDefault, ...fields } = values;
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+    await lockUser(connection, userId);
+
+    const [addresses] = await connection.execute(
+      "SELECT type, is_default FROM user_addresses WHERE id = ? AND user_id = ? FOR UPDATE",
+      [addressId, userId]
+    );
+    if (addresses.length === 0) {
+      throw createServiceError(404, "Address not found", "Address not found");
+    }
+
+    const columns = Object.keys(fields);
+    if (columns.length > 0) {
+      await connection.execute(
+        `
+          UPDATE user_addresses
+          SET ${columns.map((column) => `${column} = ?`).join(", ")}
+          WHERE id = ?
+        `,
+        [...columns.map((column) => fields[column]), addressId]
+      );
+    }
+
+    // A type change or an explicit flag moves the default
+    const type = fields.type || addresses[0].type;
+    if (isDefault === true) {
+      await setDefaultAddress(connection, userId, addressId, type);
+    } else if (isDefault === false || type !== addresses[0].type) {
+      await connection.execute(
+        "UPDATE user_addresses SET is_default = FALSE WHERE id = ?",
+        [addressId]
+      );
+    }
+
+    await connection.commit();
+    return { message: "Address updated successfully" };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+/**
+ * Delete an address of a user
+ * Orders keep their snapshot of the address
+ * @param {number} userId - The user ID
+ * @param {number} addressId - The address ID
+ * @returns {Promise<Object>} Result of the delete operation
+ */
+const deleteAddress = async (userId, addressId) => {
+  const query = `DELETE FROM user_addresses WHERE id = ? AND user_id = ?`;
+  return executeQuery(query, [addressId, userId]);
+};
+
+/**
+ * Resolve the shipping and billing addresses of a new order into snapshots
+ * Addresses not chosen explicitly default to the user's default of that type
+ * @param {Object} connection - The database connection in a transaction
+ * @param {number} userId - The user placing the order
+ * @param {Object} choice - The chosen address IDs
+ * @param {number} choice.shipping_address_id - The shipping address (optional)
+ * @param {number} choice.billing_address_id - The billing address (optional)
+ * @returns {Promise<Object>} The shipping and billing snapshots (null when there is none)
+ */
+const getOrderAddressSnapshots = async (connection, userId, choice) => {
+  const snapshots = {};
+
+  for (const type of ADDRESS_TYPES) {
+    const addressId = choice[`${type}_address_id`];
+    const [addresses] = addressId
+      ? await connection.execute(
+          "SELECT * FROM user_addresses WHERE id = ? AND user_id = ?",
+          [addressId, userId]
+        )
+      : await connection.execute(
+          "SELECT * FROM user_addresses WHERE user_id = ? AND type = ? AND is_default = TRUE",
+          [userId, type]
+        );
+
+    if (addressId && (addresses.length === 0 || addresses[0].type !== type)) {
+      throw createServiceError(
+        400,
+        "Invalid address",
+        `${type}_address_id must be one of the user's ${type} addresses`
+      );
+    }
+
+    snapshots[type] = addresses[0]
+      ? Object.fromEntries(
+          SNAPSHOT_FIELDS.map((field) => [field, addresses[0][field]])
+        )
+      : null;
+  }
+
+  return snapshots;
+};
+
+module.exports = {
+  ADDRESS_TYPES,
+  getAddresses,
+  getAddressById,
+  createAddress,
+  updateAddress,
+  deleteAddress,
+  getOrderAddressSnapshots,
+};
@@ -0,0 +1,251 @@
+/**
+ * userDuplicateService.js
+ * This module contains functions for finding customers registered several
+ * times and merging their accounts (see user-merges-schema.sql)
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const { createServiceError } = require("./serviceError");
+
+// Ways duplicates are matched
+const DUPLICATE_MATCHES = ["email", "phone", "name"];
+
+// Normalized keys per match, in SQL: emails in lowercase without a "+tag",
+// phone numbers by their last 9 digits (so "+33612345678" and "06 12 34 56 78"
+// match), names in lowercase without surrounding spaces
+const MATCH_KEYS = {
+  email: `CONCAT(
+    SUBSTRING_INDEX(SUBSTRING_INDEX(LOWER(TRIM(email)), '@', 1), '+', 1),
+    '@', SUBSTRING_INDEX(LOWER(TRIM(email)), '@', -1)
+  )`,
+  phone: `RIGHT(REGEXP_REPLACE(phone_number, '[^0-9]', ''), 9)`,
+  name: `CONCAT(LOWER(TRIM(first_name)), ' ', LOWER(TRIM(last_name)))`,
+};
+
+// Optional profile fields the surviving user takes from the merged user
+// when they are empty
+const MERGEABLE_FIELDS = ["address", "birthdate", "gender", "phone_number"];
+
+/**
+ * Find groups of users who share a normalized email, phone number or name
+ * Erased users are left out
+ * @param {Object} options - Listing options
+ * @param {Array<string>} options.matches - The matches to look for (default all)
+ * @param {number} options.page - The page number (1-based)
+ * @param {number} options.limit - The number of groups per page
+ * @returns {Promise<Object>} The groups (match, key and users) and pagination details
+ */
+const findDuplicateUsers = async (options = {}) => {
+  const matches = options.matches || DUPLICATE_MATCHES;
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const offset = (page - 1) * limit;
+
+  // Only the keys are grouped: the members are read separately below, as
+  // GROUP_CONCAT would silently truncate large groups
+  const groupsQuery = matches
+    .map(
+      (match) => `
+        SELECT '${match}' AS \`match\`, ${MATCH_KEYS[match]} AS match_key,
+               COUNT(*) AS user_count
+        FROM users
+        WHERE erased_at IS NULL AND ${MATCH_KEYS[match]} <> ''
+        GROUP BY match_key
+        HAVING COUNT(*) > 1
+      `
+    )
+    .join(" UNION ALL ");
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) AS total FROM (${groupsQuery}) AS duplicate_groups`
+  );
+  const total = countResult[0].total;
+
+  // LIMIT/OFFSET are validated integers, inlined like in the other listings
+  const groups = await executeQuery(`
+    SELECT * FROM (${groupsQuery}) AS duplicate_groups
+    ORDER BY \`match\` ASC, match_key ASC
+    LIMIT ${limit} OFFSET ${offset}
+  `);
+
+  const pageGroups = groups.map((group) => ({
+    match: group.match,
+    key: group.match_key,
+    users: [],
+  }));
+
+  for (const match of matches) {
+    const keys = pageGroups
+      .filter((group) => group.match === match)
+      .map((group) => group.key);
+    if (keys.length === 0) {
+      continue;
+    }
+
+    const placeholders = keys.map(() => "?").join(", ");
+    const users = await executeQuery(
+      `
+        SELECT u.id, u.first_name, u.last_name, u.email, u.phone_number,
+               u.created_at, ${MATCH_KEYS[match]} AS match_key,
+               (SELECT COUNT(*) FROM orders o WHERE o.user_id = u.id) AS order_count
+        FROM users u
+        WHERE u.erased_at IS NULL AND ${MATCH_KEYS[match]} IN (${placeholders})
+        ORDER BY u.id ASC
+      `,
+      keys
+    );
+
+    for (const { match_key: matchKey, ...user } of users) {
+      const group = pageGroups.find(
+        (candidate) => candidate.match === match && candidate.key === matchKey
+      );
+      if (group) {
+        group.users.push(user);
+      }
+    }
+  }
+
+  return {
+    groups: pageGroups,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+/**
+ * Merge a duplicate user into the user who survives
+ * In one transaction, the duplicate's orders and addresses move to the
+ * surviving user, who also takes the duplicate's optional profile fields
+ * they are missing; the duplicate is then deleted and the merge recorded.
+ * @param {number} userId - The surviving user ID
+ * @param {number} duplicateUserId - The user ID to merge into it
+ * @param {string} mergedBy - Who requested the merge
+ * @returns {Promise<Object>} Result of the operation with the merge record
+ */
+const mergeUsers = async (userId, duplicateUserId, mergedBy) => {
+  if (Number(userId) === Number(duplicateUserId)) {
+    throw createServiceError(
+      400,
+      "Invalid merge",
+      "A user cannot be merged into itself"
+    );
+  }
+
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    // Lock both users in ID order so concurrent merges cannot deadlock
+    const [users] = await connection.execute(
+      `
+        SELECT id, ${MERGEABLE_FIELDS.join(", ")}, erased_at
+        FROM users
+        WHERE id IN (?, ?)
+        ORDER BY id
+        FOR UPDATE
+      `,
+      [userId, duplicateUserId]
+    );
+    const survivor = users.find((user) => user.id === Number(userId));
+    const duplicate = users.find((user) => user.id === Number(duplicateUserId));
+
+    if (!survivor || !duplicate) {
+      throw createServiceError(
+        404,
+        "User not found",
+        `User ${survivor ? duplicateUserId : userId} not found`
+      );
+    }
+    if (survivor.erased_at || duplicate.erased_at) {
+      throw createServiceError(
+        409,
+        "User erased",
+        "Erased users cannot be merged"
+      );
+    }
+
+    const [ordersResult] = await connection.execute(
+      "UPDATE orders SET user_id = ?, version = version + 1 WHERE user_id = ?",
+      [userId, duplicateUserId]
+    );
+
+    // Moved addresses do not replace the surviving user's defaults
+    await connection.execute(
+      `
+        UPDATE user_addresses moved
+        JOIN (
+          SELECT DISTINCT type FROM user_addresses
+          WHERE user_id = ? AND is_default = TRUE
+        ) AS defaults ON defaults.type = moved.type
+        SET moved.is_default = FALSE
+        WHERE moved.user_id = ?
+      `,
+      [userId, duplicateUserId]
+    );
+    const [addressesResult] = await connection.execute(
+      "UPDATE user_addresses SET user_id = ? WHERE user_id = ?",
+      [userId, duplicateUserId]
+    );
+
+    const copiedFields = MERGEABLE_FIELDS.filter(
+      (field) =>
+        (survivor[field] === null || survivor[field] === "") &&
+        duplicate[field] !== null &&
+        duplicate[field] !== ""
+    );
+    const updates = copiedFields.map((field) => `${field} = ?`);
+    updates.push("version = version + 1");
+    await connection.execute(
+      `UPDATE users SET ${updates.join(", ")} WHERE id = ?`,
+      [...copiedFields.map((field) => duplicate[field]), userId]
+    );
+
+    await connection.execute("DELETE FROM users WHERE id = ?", [
+      duplicateUserId,
+    ]);
+
+    const [mergeResult] = await connection.execute(
+      `
+        INSERT INTO user_merges (user_id, merged_user_id, merged_by, orders_moved, addresses_moved, fields_copied)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `,
+      [
+        userId,
+        duplicateUserId,
+        mergedBy,
+        ordersResult.affectedRows,
+        addressesResult.affectedRows,
+        JSON.stringify(copiedFields),
+      ]
+    );
+
+    await connection.commit();
+
+    return {
+      message: "Users merged successfully",
+      merge: {
+        id: mergeResult.insertId,
+        user_id: Number(userId),
+        merged_user_id: Number(duplicateUserId),
+        orders_moved: ordersResult.affectedRows,
+        addresses_moved: addressesResult.affectedRows,
+        fields_copied: copiedFields,
+      },
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  DUPLICATE_MATCHES,
+  findDuplicateUsers,
+  mergeUsers,
+};
@@ -0,0 +1,216 @@
+/**
+ * userPrivacyService.js
+ * This module contains functions for data protection (GDPR) requests about
+ * a user: exporting all the personal data held about them, and erasing it
+ * (see user-erasure-schema.sql)
+ */
+
+const { executeQuery, pool } = require("./dbConnector");
+const { formatCsvRow } = require("./csvUtils");
+const { createServiceError } = require("./serviceError");
+
+// Columns of the long-format CSV export: one line per field of each record
+const EXPORT_CSV_COLUMNS = ["record", "record_id", "field", "value"];
+
+/**
+ * Collect all the personal data held about a user
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object|null>} The user's profile, address book, orders
+ * (with their items) and Stripe payment IDs, or null if the user does not exist
+ */
+const exportUserData = async (userId) => {
+  const users = await executeQuery("SELECT * FROM users WHERE id = ?", [
+    userId,
+  ]);
+  if (users.length === 0) {
+    return null;
+  }
+
+  const addresses = await executeQuery(
+    "SELECT * FROM user_addresses WHERE user_id = ? ORDER BY id ASC",
+    [userId]
+  );
+
+  const orders = await executeQuery(
+    "SELECT * FROM orders WHERE user_id = ? ORDER BY created_at ASC, id ASC",
+    [userId]
+  );
+
+  const orderIds = orders.map((order) => order.id);
+  let items = [];
+  if (orderIds.length > 0) {
+    const placeholders = orderIds.map(() => "?").join(", ");
+    items = await executeQuery(
+      `
+        SELECT *
+        FROM order_items
+        WHERE order_id IN (${placeholders})
+        ORDER BY order_id ASC, id ASC
+      `,
+      orderIds
+    );
+  }
+
+  for (const order of orders) {
+    order.items = items.filter((item) => item.order_id === order.id);
+  }
+
+  // Credentials are not personal data to hand out, even to their owner
+  const user = Object.fromEntries(
+    Object.entries(users[0]).filter(([field]) => !/password/i.test(field))
+  );
+
+  return {
+    exported_at: new Date().toISOString(),
+    user,
+    addresses,
+    orders,
+    payments: orders
+      .filter((order) => order.stripe_id)
+      .map((order) => ({
+        order_id: order.id,
+        stripe_payment_intent_id: order.stripe_id,
+      })),
+  };
+};
+
+/**
+ * Format a user data export as CSV
+ * Records of every kind share one file: each line holds one field of one
+ * record (user, address, order, order_item or payment), so the file can be
+ * read back without knowing the table layouts
+ * @param {Object} data - The export returned by exportUserData
+ * @returns {string} The CSV text with a header line
+ */
+const formatUserDataCsv = (data) => {
+  const lines = [formatCsvRow(EXPORT_CSV_COLUMNS)];
+
+  const addRecord = (record, id, fields) => {
+    for (const [field, value] of Object.entries(fields)) {
+      let text = value;
+      if (value instanceof Date) {
+        text = value.toISOString();
+      } else if (value !== null && typeof value === "object") {
+        text = JSON.stringify(value);
+      }
+      lines.push(formatCsvRow([record, id, field, text]));
+    }
+  };
+
+  addRecord("user", data.user.id, data.user);
+  for (const address of data.addresses) {
+    addRecord("address", address.id, address);
+  }
+  for (const { items, ...order } of data.orders) {
+    addRecord("order", order.id, order);
+    for (const item of items) {
+      addRecord("order_item", item.id, item);
+    }
+  }
+  for (const payment of data.payments) {
+    addRecord("payment", payment.order_id, payment);
+  }
+
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+/**
+ * Get the record of a user's erasure
+ * @param {Object} connection - The database connection in use
+ * @param {number} userId - The user ID
+ * @returns {Promise<Object|undefined>} The erasure, if the user has been erased
+ */
+const getErasure = async (connection, userId) => {
+  const [erasures] = await connection.execute(
+    `
+      SELECT user_id, erased_by, erased_at, orders_anonymized
+      FROM user_erasures
+      WHERE user_id = ?
+    `,
+    [userId]
+  );
+  return erasures[0];
+};
+
+/**
+ * Erase a user's personal data by anonymizing it
+ * The user row and their orders are kept, with their totals, for bookkeeping:
+ * the profile is scrubbed and the address book deleted, as are the name,
+ * location and address snapshots copied onto orders.
+ * Erasing a user twice changes nothing and returns the first erasure.
+ * @param {number} userId - The user ID
+ * @param {string} erasedBy - Who requested the erasure
+ * @returns {Promise<Object>} Result of the operation with the erasure record
+ */
+const eraseUser = async (userId, erasedBy) => {
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
+
+    const [users] = await connection.execute(
+      "SELECT id, erased_at FROM users WHERE id = ? FOR UPDATE",
+      [userId]
+    );
+    if (users.length === 0) {
+      throw createServiceError(404, "User not found", "User not found");
+    }
+
+    if (users[0].erased_at) {
+      const erasure = await getErasure(connection, userId);
+      await connection.commit();
+      return { message: "User was already erased", erasure };
+    }
+
+    // The email stays unique and unreachable; other personal fields are cleared
+    await connection.execute(
+      `
+        UPDATE users
+        SET first_name = 'Erased', last_name = 'User',
+            email = CONCAT('erased-', id, '@invalid'),
+            address = NULL, birthdate = NULL, gender = NULL, phone_number = NULL,
+            erased_at = CURRENT_TIMESTAMP, version = version + 1
+        WHERE id = ?
+      `,
+      [userId]
+    );
+
+    const [ordersResult] = await connection.execute(
+      `
+        UPDATE orders
+        SET user_name = 'Erased user', user_location = NULL,
+            shipping_address = NULL, billing_address = NULL,
+            version = version + 1
+        WHERE user_id = ?
+      `,
+      [userId]
+    );
+
+    await connection.execute("DELETE FROM user_addresses WHERE user_id = ?", [
+      userId,
+    ]);
+
+    await connection.execute(
+      `
+        INSERT INTO user_erasures (user_id, erased_by, erased_at, orders_anonymized)
+        SELECT id, ?, erased_at, ? FROM users WHERE id = ?
+      `,
+      [erasedBy, ordersResult.affectedRows, userId]
+    );
+
+    const erasure = await getErasure(connection, userId);
+    await connection.commit();
+
+    return { message: "User erased successfully", erasure };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+};
+
+module.exports = {
+  exportUserData,
+  formatUserDataCsv,
+  eraseUser,
+};
@@ -3,20 +3,336 @@
  * This module contains functions for CRUD operations on the users table
  */
 
-const { executeQuery } = require("./dbConnector");
+const { executeQuery, pool } = require("./dbConnector");
+const {
+  createServiceError,
+  createVersionConflictError,
+} = require("./serviceError");
+
+// Accepted values of users.gender
+const GENDERS = ["female", "male", "non_binary", "other", "prefer_not_to_say"];
+
+// Other spellings found in existing data, mapped to the accepted values
+const GENDER_ALIASES = {
+  f: "female",
+  femme: "female",
+  woman: "female",
+  m: "male",
+  homme: "male",
+  man: "male",
+  "non-binary": "non_binary",
+  nonbinary: "non_binary",
+};
+
+// Country calling code for phone numbers given in national format (0...)
+const DEFAULT_COUNTRY_CALLING_CODE =
+  process.env.DEFAULT_COUNTRY_CALLING_CODE || "33";
+
+// Oldest accepted birthdate, in years before today
+const MAX_AGE_YEARS = 120;
+
+// Dot-atom addresses (RFC 5322) at a domain with a top-level domain
+const EMAIL_PATTERN =
+  /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/;
+
+/**
+ * Normalize a phone number to E.164 (e.g. "+33612345678")
+ * Spaces, dots, dashes, parentheses and a "(0)" trunk prefix are ignored;
+ * "00" is an international prefix and a single leading 0 a national number
+ * in the default country
+ * @param {string} phoneNumber - The phone number as entered
+ * @returns {string|null} The E.164 number, or null if it cannot be one
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  let number = String(phoneNumber)
+    .replace(/\(0\)/g, "")
+    .replace(/[\s.()-]/g, "");
+
+  if (number.startsWith("00")) {
+    number = `+${number.slice(2)}`;
+  } else if (/^0[1-9]/.test(number)) {
+    number = `+${DEFAULT_COUNTRY_CALLING_CODE}${number.slice(1)}`;
+  }
+
+  return /^\+[1-9]\d{6,14}$/.test(number) ? number : null;
+};
 
 /**
- * Get all users from the database
- * @returns {Promise<Array>} List of users (excluding sensitive information)
+ * Validate a birthdate: a real date, not in the future nor too far back
+ * @param {string} birthdate - The birthdate (YYYY-MM-DD)
+ * @returns {string|null} The error, or null if the birthdate is valid
  */
-const getAllUsers = async () => {
-  // Excluding password field for security if it exists
+const validateBirthdate = (birthdate) => {
+  const date = new Date(`${birthdate}T00:00:00Z`);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(birthdate) ||
+    Number.isNaN(date.getTime()) ||
+    !date.toISOString().startsWith(birthdate)
+  ) {
+    return "must be a date (YYYY-MM-DD)";
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const earliest = `${Number(today.slice(0, 4)) - MAX_AGE_YEARS}${today.slice(
+    4
+  )}`;
+  if (birthdate > today) {
+    return "cannot be in the future";
+  }
+  if (birthdate < earliest) {
+    return `cannot be more than ${MAX_AGE_YEARS} years ago`;
+  }
+  return null;
+};
+
+/**
+ * Validate and normalize user data
+ * Throws a 422 service error listing the invalid fields
+ * @param {Object} user - The user data from the request
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Whether missing required fields are allowed (updates)
+ * @param {number} options.userId - The user being updated, excluded from the email uniqueness check
+ * @returns {Promise<Object>} The normalized fields that were given (null clears an optional field)
+ */
+const validateUser = async (user, options = {}) => {
+  const errors = {};
+  const values = {};
+
+  for (const field of ["first_name", "last_name"]) {
+    const value = user[field];
+    if (value === undefined && options.partial) {
+      continue;
+    }
+    if (typeof value !== "string" || value.trim() === "") {
+      errors[field] = "is required";
+    } else if (value.trim().length > 100) {
+      errors[field] = "must be at most 100 characters";
+    } else {
+      values[field] = value.trim();
+    }
+  }
+
+  if (user.email !== undefined || !options.partial) {
+    const email =
+      typeof user.email === "string" ? user.email.trim().toLowerCase() : "";
+    const [localPart] = email.split("@");
+    if (!email) {
+      errors.email = "is required";
+    } else if (
+      email.length > 254 ||
+      localPart.length > 64 ||
+      !EMAIL_PATTERN.test(email)
+    ) {
+      errors.email = "must be a valid email address";
+    } else {
+      const existing = await executeQuery(
+        "SELECT id FROM users WHERE email = ? AND id <> ?",
+        [email, options.userId || 0]
+      );
+      if (existing.length > 0) {
+        errors.email = "is already used by another user";
+      } else {
+        values.email = email;
+      }
+    }
+  }
+
+  // Optional fields: null or "" clears them
+  const isEmpty = (value) => value === null || value === "";
+
+  if (user.address !== undefined) {
+    if (isEmpty(user.address)) {
+      values.address = null;
+    } else if (typeof user.address !== "string") {
+      errors.address = "must be a string";
+    } else {
+      values.address = user.address.trim();
+    }
+  }
+
+  if (user.phone_number !== undefined) {
+    if (isEmpty(user.phone_number)) {
+      values.phone_number = null;
+    } else {
+      const phoneNumber = normalizePhoneNumber(user.phone_number);
+      if (!phoneNumber) {
+        errors.phone_number =
+          'must be a phone number in international format (e.g. "+33612345678")';
+      } else {
+        values.phone_number = phoneNumber;
+      }
+    }
+  }
+
+  if (user.birthdate !== undefined) {
+    if (isEmpty(user.birthdate)) {
+      values.birthdate = null;
+    } else {
+      const error = validateBirthdate(String(user.birthdate));
+      if (error) {
+        errors.birthdate = error;
+      } else {
+        values.birthdate = user.birthdate;
+      }
+    }
+  }
+
+  if (user.gender !== undefined) {
+    const gender = String(user.gender || "")
+      .trim()
+      .toLowerCase();
+    if (gender === "") {
+      values.gender = null;
+    } else if (GENDERS.includes(GENDER_ALIASES[gender] || gender)) {
+      values.gender = GENDER_ALIASES[gender] || gender;
+    } else {
+      errors.gender = `must be one of: ${GENDERS.join(", ")}`;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw createServiceError(
+      422,
+      "Validation failed",
+      "One or more user fields are invalid",
+      { errors }
+    );
+  }
+
+  return values;
+};
+
+// Columns that GET /users can be sorted by
+const USER_SORT_COLUMNS = [
+  "id",
+  "first_name",
+  "last_name",
+  "email",
+  "birthdate",
+  "created_at",
+];
+
+/**
+ * Build the WHERE clause for the user directory filters
+ * @param {Object} filters - The filters (see getAllUsers)
+ * @returns {Object} The WHERE clause and its parameters
+ */
+const buildUserFilters = (filters) => {
+  // Erased (anonymized) users are only listed on request
+  const conditions = [
+    filters.erased ? "u.erased_at IS NOT NULL" : "u.erased_at IS NULL",
+  ];
+  const params = [];
+
+  if (filters.search) {
+    const like = `%${filters.search}%`;
+    const searchConditions = [
+      "u.first_name LIKE ?",
+      "u.last_name LIKE ?",
+      "CONCAT(u.first_name, ' ', u.last_name) LIKE ?",
+      "u.email LIKE ?",
+      "u.phone_number LIKE ?",
+    ];
+    params.push(like, like, like, like, like);
+
+    // Phone numbers are stored in several formats, so also compare digits only
+    const digits = filters.search.replace(/\D/g, "");
+    if (digits.length >= 3) {
+      searchConditions.push(
+        "REGEXP_REPLACE(u.phone_number, '[^0-9]', '') LIKE ?"
+      );
+      params.push(`%${digits}%`);
+    }
+
+    conditions.push(`(${searchConditions.join(" OR ")})`);
+  }
+
+  if (filters.gender) {
+    conditions.push("u.gender = ?");
+    params.push(filters.gender);
+  }
+
+  if (filters.birthdateFrom) {
+    conditions.push("u.birthdate >= ?");
+    params.push(filters.birthdateFrom);
+  }
+
+  if (filters.birthdateTo) {
+    conditions.push("u.birthdate <= ?");
+    params.push(filters.birthdateTo);
+  }
+
+  if (filters.createdFrom) {
+    conditions.push("u.created_at >= ?");
+    params.push(filters.createdFrom);
+  }
+
+  // The end date is inclusive: users who signed up any time that day match
+  if (filters.createdTo) {
+    conditions.push("u.created_at < DATE_ADD(?, INTERVAL 1 DAY)");
+    params.push(filters.createdTo);
+  }
+
+  return {
+    whereClause: `WHERE ${conditions.join(" AND ")}`,
+    params,
+  };
+};
+
+/**
+ * Get a page of users from the database
+ * @param {Object} options - Listing options
+ * @param {number} options.page - The page number (1-based)
+ * @param {number} options.limit - The number of users per page
+ * @param {string} options.sortBy - The column to sort by
+ * @param {string} options.sortOrder - The sort direction ("asc" or "desc")
+ * @param {string} options.search - Only users whose name, email or phone number contains this text
+ * @param {string} options.gender - Only users of this gender
+ * @param {string} options.birthdateFrom - Only users born on or after this date (YYYY-MM-DD)
+ * @param {string} options.birthdateTo - Only users born on or before this date
+ * @param {string} options.createdFrom - Only users who signed up on or after this date
+ * @param {string} options.createdTo - Only users who signed up on or before this date
+ * @param {boolean} options.erased - List erased users instead of active ones
+ * @returns {Promise<Object>} The users on the page (excluding sensitive information) and pagination details
+ */
+const getAllUsers = async (options = {}) => {
+  const page = options.page || 1;
+  const limit = options.limit || 50;
+  const offset = (page - 1) * limit;
+
+  const sortBy = USER_SORT_COLUMNS.includes(options.sortBy)
+    ? options.sortBy
+    : "id";
+  const sortOrder = options.sortOrder === "desc" ? "DESC" : "ASC";
+
+  const { whereClause, params } = buildUserFilters(options);
+
+  const countQuery = `SELECT COUNT(*) AS total FROM users u ${whereClause}`;
+  const countResult = await executeQuery(countQuery, params);
+  const total = countResult[0].total;
+
+  // Excluding password field for security if it exists; LIMIT/OFFSET are
+  // validated integers, inlined like in the product listing
   const query = `
-    SELECT id, first_name, last_name, email, address, 
-           birthdate, gender, phone_number 
-    FROM users
+    SELECT u.id, u.first_name, u.last_name, u.email, u.address,
+           u.birthdate, u.gender, u.phone_number, u.created_at, u.erased_at,
+           u.version
+    FROM users u
+    ${whereClause}
+    ORDER BY u.${sortBy} ${sortOrder}, u.id ${sortOrder}
+    LIMIT ${limit} OFFSET ${offset}
   `;
-  return executeQuery(query);
+  const users = await executeQuery(query, params);
+
+  return {
+    users,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
 };
 
 /**
@@ -27,7 +343,7 @@ const getAllUsers = async () => {
 const getUserById = async (id) => {
   const query = `
     SELECT id, first_name, last_name, email, address, 
-           birthdate, gender, phone_number 
+           birthdate, gender, phone_number, created_at, erased_at, version
     FROM users 
     WHERE id = ?
   `;
@@ -37,10 +353,13 @@ const getUserById = async (id) => {
 
 /**
  * Create a new user
+ * The data is validated and normalized first (see validateUser)
  * @param {Object} user - The user data
  * @returns {Promise<Object>} Result of the insert operation
  */
 const createUser = async (user) => {
+  const values = await validateUser(user);
+
   const query = `
     INSERT INTO users (
       id, first_name, last_name, email, address, 
@@ -49,14 +368,14 @@ const createUser = async (user) => {
     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
   `;
   const params = [
-    user.id,
-    user.first_name,
-    user.last_name,
-    user.email,
-    user.address,
-    user.birthdate,
-    user.gender,
-    user.phone_number,
+    user.id || null,
+    values.first_name,
+    values.last_name,
+    values.email,
+    values.address || null,
+    values.birthdate || null,
+    values.gender || null,
+    values.phone_number || null,
   ];
 
   return executeQuery(query, params);
@@ -64,11 +383,16 @@ const createUser = async (user) => {
 
 /**
  * Update an existing user
+ * The given fields are validated and normalized first (see validateUser)
  * @param {number} id - The user ID to update
- * @param {Object} user - The updated user data
- * @returns {Promise<Object>} Result of the update operation
+ * @param {Object} userData - The updated user data
+ * @param {Object} options - Options
+ * @param {number} options.expectedVersion - Version the client read; a 412 error is thrown if it is stale
+ * @returns {Promise<Object>} Result of the update operation with the new version
  */
-const updateUser = async (id, user) => {
+const updateUser = async (id, userData, options = {}) => {
+  const user = await validateUser(userData, { partial: true, userId: id });
+
   // Create dynamic query based on provided fields
   const updates = [];
   const params = [];
@@ -108,32 +432,66 @@ const updateUser = async (id, user) => {
     params.push(user.phone_number);
   }
 
+  if (updates.length === 0) {
+    return { message: "No user fields to update" };
+  }
+
+  updates.push("version = version + 1");
+
   // Add the ID at the end of params
   params.push(id);
 
-  const query = `
-    UPDATE users 
-    SET ${updates.join(", ")} 
-    WHERE id = ?
-  `;
+  const connection = await pool.getConnection();
+  try {
+    await connection.beginTransaction();
 
-  return executeQuery(query, params);
-};
+    // Lock the row so the version check and the update are atomic
+    const [users] = await connection.execute(
+      "SELECT version, erased_at FROM users WHERE id = ? FOR UPDATE",
+      [id]
+    );
+    if (users.length === 0) {
+      throw createServiceError(404, "User not found", "User not found");
+    }
+    if (users[0].erased_at) {
+      throw createServiceError(
+        409,
+        "User erased",
+        "The personal data of this user has been erased"
+      );
+    }
+    if (
+      options.expectedVersion !== undefined &&
+      users[0].version !== options.expectedVersion
+    ) {
+      throw createVersionConflictError("User", await getUserById(id));
+    }
 
-/**
- * Delete a user by their ID
- * @param {number} id - The user ID to delete
- * @returns {Promise<Object>} Result of the delete operation
- */
-const deleteUser = async (id) => {
-  const query = `DELETE FROM users WHERE id = ?`;
-  return executeQuery(query, [id]);
+    const query = `
+      UPDATE users 
+      SET ${updates.join(", ")} 
+      WHERE id = ?
+    `;
+    await connection.execute(query, params);
+
+    await connection.commit();
+    return {
+      message: "User updated successfully",
+      version: users[0].version + 1,
+    };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
 };
 
 module.exports = {
+  USER_SORT_COLUMNS,
+  normalizePhoneNumber,
   getAllUsers,
   getUserById,
   createUser,
   updateUser,
-  deleteUser,
 };